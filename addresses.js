@@ -0,0 +1,158 @@
+// addresses.js
+// Withdrawal address formats per network. Beyond the shape of the string, checksums are
+// verified where the format has one we can check with node's crypto: base58check (legacy
+// BTC, Tron) and bech32/bech32m (BTC segwit, BNB Beacon, Cardano). EVM addresses are only
+// checked for shape - EIP-55 needs keccak-256, which node's crypto doesn't provide.
+// Networks themselves are declared in assets.json; each names one of FORMATS below.
+
+import crypto from "crypto";
+import { ASSETS, NETWORK_CONFIG, asset, AssetError } from "./assets.js";
+
+// ---------------- base58check ----------------
+const B58 = "123456789ABCDEFGHJKLMNPQRSTUVWXYZabcdefghijkmnopqrstuvwxyz";
+
+function base58Decode(str) {
+  let n = 0n;
+  for (const ch of str) {
+    const i = B58.indexOf(ch);
+    if (i < 0) return null;
+    n = n * 58n + BigInt(i);
+  }
+  const hex = n === 0n ? "" : n.toString(16);
+  const body = Buffer.from(hex.length % 2 ? "0" + hex : hex, "hex");
+  const zeros = str.match(/^1*/)[0].length;
+  return Buffer.concat([Buffer.alloc(zeros), body]);
+}
+
+const sha256 = (b) => crypto.createHash("sha256").update(b).digest();
+
+// plain base58 of a fixed byte length (e.g. 32-byte Solana public keys)
+function isBase58Key(str, bytes) {
+  if (str.length < 32 || str.length > 44) return false;
+  return base58Decode(str)?.length === bytes;
+}
+
+// version byte of a valid 25-byte base58check address, or null
+function base58checkVersion(str) {
+  const raw = base58Decode(str);
+  if (!raw || raw.length !== 25) return null;
+  const payload = raw.subarray(0, 21);
+  if (!sha256(sha256(payload)).subarray(0, 4).equals(raw.subarray(21))) return null;
+  return raw[0];
+}
+
+// ---------------- bech32 / bech32m ----------------
+const CHARSET = "qpzry9x8gf2tvdw0s3jn54khce6mua7l";
+const GEN = [0x3b6a57b2, 0x26508e6d, 0x1ea119fa, 0x3d4233dd, 0x2a1462b3];
+const BECH32 = 1;
+const BECH32M = 0x2bc830a3;
+
+function polymod(values) {
+  let chk = 1;
+  for (const v of values) {
+    const top = chk >>> 25;
+    chk = ((chk & 0x1ffffff) << 5) ^ v;
+    for (let i = 0; i < 5; i++) if ((top >>> i) & 1) chk ^= GEN[i];
+  }
+  return chk >>> 0;
+}
+
+// { hrp, data, variant } for a string with a valid checksum, otherwise null
+function bech32Decode(str) {
+  if (str !== str.toLowerCase() && str !== str.toUpperCase()) return null;
+  const s = str.toLowerCase();
+  const pos = s.lastIndexOf("1");
+  if (pos < 1 || pos + 7 > s.length) return null;
+
+  const hrp = s.slice(0, pos);
+  const data = [];
+  for (const ch of s.slice(pos + 1)) {
+    const v = CHARSET.indexOf(ch);
+    if (v < 0) return null;
+    data.push(v);
+  }
+  const expanded = [...[...hrp].map((c) => c.charCodeAt(0) >> 5), 0, ...[...hrp].map((c) => c.charCodeAt(0) & 31)];
+  const check = polymod([...expanded, ...data]);
+  const variant = check === BECH32 ? "bech32" : check === BECH32M ? "bech32m" : null;
+  return variant ? { hrp, data: data.slice(0, -6), variant } : null;
+}
+
+// regroups 5-bit words into bytes; null if there is non-zero padding
+function fromWords(words) {
+  let acc = 0;
+  let bits = 0;
+  const out = [];
+  for (const w of words) {
+    acc = (acc << 5) | w;
+    bits += 5;
+    while (bits >= 8) {
+      bits -= 8;
+      out.push((acc >> bits) & 0xff);
+    }
+  }
+  if (bits >= 5 || (acc << (8 - bits)) & 0xff) return null;
+  return out;
+}
+
+// ---------------- Per-format checks ----------------
+function isBitcoinAddress(a) {
+  if (/^[13]/.test(a)) return [0x00, 0x05].includes(base58checkVersion(a));
+  const d = bech32Decode(a);
+  if (!d || d.hrp !== "bc" || !d.data.length) return false;
+  const version = d.data[0];
+  const program = fromWords(d.data.slice(1));
+  if (!program || version > 16 || program.length < 2 || program.length > 40) return false;
+  if (version === 0) return d.variant === "bech32" && (program.length === 20 || program.length === 32);
+  return d.variant === "bech32m";
+}
+
+const isEvmAddress = (a) => /^0x[0-9a-fA-F]{40}$/.test(a);
+
+const isTronAddress = (a) => /^T[1-9A-HJ-NP-Za-km-z]{33}$/.test(a) && base58checkVersion(a) === 0x41;
+
+// bech32 with a given prefix (BNB Beacon "bnb", Cardano "addr"); `bytes` pins the payload
+// length. Cardano addresses run past bech32's usual 90-character cap, so length isn't capped.
+function isBech32Address(a, { hrp, variant = "bech32", bytes = null }) {
+  const d = bech32Decode(a);
+  if (!d || d.hrp !== hrp || d.variant !== variant) return false;
+  return bytes == null || fromWords(d.data)?.length === bytes;
+}
+
+// ---------------- Networks ----------------
+// format name -> (network options) => address check
+const FORMATS = {
+  bitcoin: () => isBitcoinAddress,
+  evm: () => isEvmAddress,
+  tron: () => isTronAddress,
+  bech32: (opts) => (a) => isBech32Address(a, opts),
+  base58: ({ bytes }) => (a) => isBase58Key(a, bytes),
+  regex: ({ pattern }) => {
+    const re = new RegExp(pattern);
+    return (a) => re.test(a);
+  },
+};
+
+export const NETWORKS = Object.fromEntries(
+  Object.entries(NETWORK_CONFIG).map(([id, cfg]) => {
+    if (!Object.hasOwn(FORMATS, cfg.format)) throw new AssetError(`Network ${id}: unknown address format ${cfg.format}`, "BAD_NETWORK");
+    return [id, { label: cfg.label, coins: ASSETS.filter((a) => a.networks.includes(id)).map((a) => a.symbol), valid: FORMATS[cfg.format](cfg) }];
+  })
+);
+
+export const networksFor = (coin) => [...(asset(coin)?.networks || [])];
+
+/**
+ * Problem with sending `coin` to `address` on `network`, or null when it's fine.
+ * Without a network the first network of the coin that accepts the address is used.
+ */
+export function addressProblem(coin, address, network = null) {
+  const candidates = networksFor(coin);
+  if (!candidates.length) return "Unsupported coin";
+  if (network && !candidates.includes(network)) return `${coin} can't be sent on ${network}`;
+  if (typeof address !== "string" || !address) return "Address required";
+  const ok = (network ? [network] : candidates).some((n) => NETWORKS[n].valid(address));
+  return ok ? null : `Invalid ${network ? NETWORKS[network].label : coin} address`;
+}
+
+// the network an address belongs to for a coin (first match), or null
+export const detectNetwork = (coin, address) => networksFor(coin).find((n) => NETWORKS[n].valid(address)) || null;
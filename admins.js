@@ -0,0 +1,165 @@
+// admins.js
+// Admin accounts and what each role may do. Admins sign in at /api/admin/login with their own
+// username/password (kept apart from User) and every admin route names the permission it needs.
+// Accounts are managed from the command line:
+//   node admins.js create <username> --role <role> [--password <pw>]
+//   node admins.js set-role <username> <role>
+//   node admins.js reset-password <username> [--password <pw>]
+//   node admins.js disable|enable <username>
+//   node admins.js list
+// Without --password (or ADMIN_PASSWORD) a random password is generated and printed once.
+
+import crypto from "crypto";
+import bcrypt from "bcryptjs";
+import dotenv from "dotenv";
+import mongoose from "mongoose";
+import { pathToFileURL } from "url";
+import { connectDB, Admin, ADMIN_ROLES } from "./db.js";
+
+export const PERMISSIONS = {
+  viewer: ["read"],
+  "deposit-approver": ["read", "deposits:approve"],
+  "withdraw-approver": ["read", "withdraws:approve"],
+  "kyc-reviewer": ["read", "kyc:review"],
+  support: ["read", "support:answer"],
+  superadmin: ["*"],
+};
+
+export const can = (role, permission) => {
+  const granted = Object.hasOwn(PERMISSIONS, role) ? PERMISSIONS[role] : [];
+  return granted.includes("*") || granted.includes(permission);
+};
+
+export class AdminError extends Error {
+  constructor(message, code) {
+    super(message);
+    this.name = "AdminError";
+    this.code = code;
+  }
+}
+
+const MIN_PASSWORD = 12;
+
+function checkRole(role) {
+  if (!ADMIN_ROLES.includes(role)) throw new AdminError(`Unknown role ${role} (${ADMIN_ROLES.join(", ")})`, "BAD_ROLE");
+}
+
+function checkPassword(password) {
+  if (typeof password !== "string" || password.length < MIN_PASSWORD) {
+    throw new AdminError(`Admin passwords must be at least ${MIN_PASSWORD} characters`, "WEAK_PASSWORD");
+  }
+}
+
+async function findAdmin(username) {
+  const admin = await Admin.findOne({ username: String(username).toLowerCase() });
+  if (!admin) throw new AdminError(`No admin ${username}`, "NOT_FOUND");
+  return admin;
+}
+
+export const generatePassword = () => crypto.randomBytes(18).toString("base64url");
+
+// ---------------- Account management ----------------
+export async function createAdmin({ username, role, password }) {
+  if (!username) throw new AdminError("username required", "BAD_USERNAME");
+  checkRole(role);
+  checkPassword(password);
+  if (await Admin.exists({ username: String(username).toLowerCase() })) {
+    throw new AdminError(`Admin ${username} already exists`, "EXISTS");
+  }
+  return Admin.create({ username, role, password: await bcrypt.hash(password, 12) });
+}
+
+export async function setRole(username, role) {
+  checkRole(role);
+  const admin = await findAdmin(username);
+  admin.role = role;
+  return admin.save();
+}
+
+export async function setActive(username, active) {
+  const admin = await findAdmin(username);
+  admin.active = active;
+  return admin.save();
+}
+
+export async function resetPassword(username, password) {
+  checkPassword(password);
+  const admin = await findAdmin(username);
+  admin.password = await bcrypt.hash(password, 12);
+  return admin.save();
+}
+
+// resolves the admin for a login, or null; unknown names still pay for a hash comparison
+let dummyHash = null;
+export async function verifyLogin(username, password) {
+  const admin = await Admin.findOne({ username: String(username).toLowerCase() });
+  dummyHash ||= await bcrypt.hash(generatePassword(), 12);
+  const ok = await bcrypt.compare(String(password), admin?.password || dummyHash);
+  return ok && admin?.active ? admin : null;
+}
+
+// who did it, for meta.approvedBy / meta.declinedBy
+export const stamp = (admin) => ({ adminId: admin._id, username: admin.username, at: new Date() });
+
+// ---------------- CLI ----------------
+function option(args, name) {
+  const i = args.indexOf(`--${name}`);
+  return i >= 0 ? args[i + 1] : undefined;
+}
+
+async function cli([command, ...args]) {
+  const username = args.find((a, i) => !a.startsWith("--") && !args[i - 1]?.startsWith("--"));
+  const password = option(args, "password") || process.env.ADMIN_PASSWORD;
+
+  switch (command) {
+    case "create": {
+      const pw = password || generatePassword();
+      const admin = await createAdmin({ username, role: option(args, "role"), password: pw });
+      console.log(`Created ${admin.role} ${admin.username}`);
+      if (!password) console.log(`Password (shown once): ${pw}`);
+      return;
+    }
+    case "set-role": {
+      const admin = await setRole(username, option(args, "role") || args[1]);
+      console.log(`${admin.username} is now ${admin.role}`);
+      return;
+    }
+    case "reset-password": {
+      const pw = password || generatePassword();
+      const admin = await resetPassword(username, pw);
+      console.log(`Password reset for ${admin.username}`);
+      if (!password) console.log(`Password (shown once): ${pw}`);
+      return;
+    }
+    case "disable":
+    case "enable": {
+      const admin = await setActive(username, command === "enable");
+      console.log(`${admin.username} ${admin.active ? "enabled" : "disabled"}`);
+      return;
+    }
+    case "list": {
+      const admins = await Admin.find().sort({ username: 1 }).lean();
+      for (const a of admins) {
+        console.log([a.username, a.role, a.active ? "active" : "disabled", a.lastLoginAt?.toISOString() || "never"].join("\t"));
+      }
+      return;
+    }
+    default:
+      throw new AdminError("Usage: node admins.js create|set-role|reset-password|disable|enable|list ...", "USAGE");
+  }
+}
+
+if (process.argv[1] && import.meta.url === pathToFileURL(process.argv[1]).href) {
+  dotenv.config();
+
+  try {
+    if (!process.env.MONGO_URI) throw new Error("MONGO_URI not set");
+    await connectDB();
+    await cli(process.argv.slice(2));
+  } catch (err) {
+    console.error(err instanceof AdminError ? err.message : err);
+    process.exitCode = 1;
+  } finally {
+    await mongoose.disconnect();
+  }
+}
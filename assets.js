@@ -0,0 +1,103 @@
+// assets.js
+// The asset registry: every coin the platform knows about and the networks it moves on, read
+// from assets.json. Balances, prices, deposits, withdrawals, transfers and /api/assets all
+// derive from it, so listing a coin or adding a network is an edit to that file (plus a
+// restart), not to the code. An asset entry is:
+//   symbol, name, decimals, priceId (CoinGecko id or null), parUsd (booked at this USD value),
+//   icon, networks (keys of "networks"), wallet (false = price only, no balance),
+//   deposit / withdraw / transfer (enable flags), depositAddress, secondApprovalAbove
+// A network entry is { label, format, ...format options } - see addresses.js for the formats.
+
+import fs from "fs";
+import path from "path";
+import { fileURLToPath } from "url";
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+export class AssetError extends Error {
+  constructor(message, code) {
+    super(message);
+    this.name = "AssetError";
+    this.code = code;
+  }
+}
+
+// ---------------- Loading ----------------
+// checked once at startup; a bad registry should stop the server, not surface per request
+export function loadRegistry(config) {
+  const networks = config.networks || {};
+  for (const [id, n] of Object.entries(networks)) {
+    if (!n.label || !n.format) throw new AssetError(`Network ${id} needs a label and a format`, "BAD_NETWORK");
+  }
+
+  const seen = new Set();
+  const assets = (config.assets || []).map((a) => {
+    if (!/^[A-Z0-9]{2,10}$/.test(a.symbol || "")) throw new AssetError(`Invalid asset symbol ${a.symbol}`, "BAD_ASSET");
+    if (seen.has(a.symbol)) throw new AssetError(`Asset ${a.symbol} is listed twice`, "BAD_ASSET");
+    seen.add(a.symbol);
+    if (!Number.isInteger(a.decimals) || a.decimals < 0 || a.decimals > 18) {
+      throw new AssetError(`${a.symbol}: decimals must be an integer from 0 to 18`, "BAD_ASSET");
+    }
+    const unknown = (a.networks || []).find((n) => !Object.hasOwn(networks, n));
+    if (unknown) throw new AssetError(`${a.symbol}: unknown network ${unknown}`, "BAD_ASSET");
+
+    const wallet = a.wallet !== false;
+    return Object.freeze({
+      symbol: a.symbol,
+      name: a.name || a.symbol,
+      decimals: a.decimals,
+      priceId: a.priceId || null,
+      parUsd: a.parUsd ?? null,
+      icon: a.icon || null,
+      networks: Object.freeze([...(a.networks || [])]),
+      wallet,
+      // nothing moves for an asset that has no balance
+      deposit: wallet && Boolean(a.deposit),
+      withdraw: wallet && Boolean(a.withdraw) && (a.networks || []).length > 0,
+      transfer: wallet && Boolean(a.transfer),
+      depositAddress: a.depositAddress || null,
+      secondApprovalAbove: a.secondApprovalAbove ?? null,
+    });
+  });
+
+  return { networks, assets };
+}
+
+const registry = loadRegistry(JSON.parse(fs.readFileSync(path.join(__dirname, "assets.json"), "utf8")));
+
+// ---------------- Lookups ----------------
+export const ASSETS = Object.freeze(registry.assets);
+export const NETWORK_CONFIG = Object.freeze(registry.networks);
+
+const BY_SYMBOL = Object.fromEntries(ASSETS.map((a) => [a.symbol, a]));
+
+// the registry entry for a symbol, or null
+export const asset = (symbol) => (typeof symbol === "string" && Object.hasOwn(BY_SYMBOL, symbol) ? BY_SYMBOL[symbol] : null);
+
+// symbols that have a balance on User.balances
+export const WALLET_COINS = ASSETS.filter((a) => a.wallet).map((a) => a.symbol);
+
+// symbol -> CoinGecko id for everything that has a market price
+export const PRICE_IDS = Object.fromEntries(ASSETS.filter((a) => a.priceId).map((a) => [a.symbol, a.priceId]));
+
+// symbol -> fixed USD value for assets the platform books at par
+export const PAR_VALUE = Object.fromEntries(ASSETS.filter((a) => a.parUsd != null).map((a) => [a.symbol, a.parUsd]));
+
+export const canDeposit = (symbol) => Boolean(asset(symbol)?.deposit);
+export const canWithdraw = (symbol) => Boolean(asset(symbol)?.withdraw);
+export const canTransfer = (symbol) => Boolean(asset(symbol)?.transfer);
+
+// what /api/assets shows the frontend; deposit addresses are only handed out per deposit
+export const publicAsset = (a) => ({
+  symbol: a.symbol,
+  name: a.name,
+  decimals: a.decimals,
+  priceId: a.priceId,
+  parUsd: a.parUsd,
+  icon: a.icon,
+  wallet: a.wallet,
+  deposit: a.deposit,
+  withdraw: a.withdraw,
+  transfer: a.transfer,
+  networks: a.networks.map((id) => ({ id, label: NETWORK_CONFIG[id].label })),
+});
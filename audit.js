@@ -0,0 +1,130 @@
+// audit.js
+// Append-only audit trail of admin actions that change money-moving state. Each entry stores
+// the hash of the previous one and a SHA-256 over its own fields, so editing or removing an
+// entry breaks the chain from that point on. Check it with `node audit.js verify`.
+
+import crypto from "crypto";
+import dotenv from "dotenv";
+import mongoose from "mongoose";
+import { pathToFileURL } from "url";
+import { connectDB, AuditLog } from "./db.js";
+
+export const GENESIS_HASH = "0".repeat(64);
+const APPEND_RETRIES = 5;
+
+// JSON with sorted keys, so the hash doesn't depend on how Mongo hands fields back
+function canonical(v) {
+  if (v === null || v === undefined) return "null";
+  if (v instanceof Date) return JSON.stringify(v.toISOString());
+  if (v instanceof mongoose.Types.ObjectId) return JSON.stringify(v.toString());
+  if (Array.isArray(v)) return "[" + v.map(canonical).join(",") + "]";
+  if (typeof v === "object") {
+    return (
+      "{" +
+      Object.keys(v)
+        .filter((k) => v[k] !== undefined)
+        .sort()
+        .map((k) => JSON.stringify(k) + ":" + canonical(v[k]))
+        .join(",") +
+      "}"
+    );
+  }
+  return JSON.stringify(v);
+}
+
+const HASHED_FIELDS = ["seq", "at", "action", "adminId", "adminUsername", "ip", "userAgent", "userId", "txId", "before", "after", "meta", "prevHash"];
+
+export function hashEntry(entry) {
+  const fields = Object.fromEntries(HASHED_FIELDS.map((f) => [f, entry[f] ?? null]));
+  return crypto.createHash("sha256").update(canonical(fields)).digest("hex");
+}
+
+// state snapshots are stored as plain JSON so they hash the same after a round trip
+const plain = (v) => (v == null ? null : JSON.parse(JSON.stringify(v)));
+
+// the parts of a transaction an approval or decline changes
+export const txState = (tx) => tx && plain({ status: tx.status, type: tx.type, coin: tx.coin, amount: tx.amount, meta: tx.meta });
+
+// ---------------- Writing ----------------
+/**
+ * Appends one entry. Concurrent writers race for the next `seq` (unique index); the loser
+ * re-reads the tip and tries again.
+ */
+export async function appendAudit(action, { admin = null, ip = null, userAgent = null, userId = null, txId = null, before = null, after = null, meta = {} }) {
+  for (let attempt = 0; attempt < APPEND_RETRIES; attempt++) {
+    const tip = await AuditLog.findOne().sort({ seq: -1 }).select("seq hash").lean();
+    const entry = {
+      seq: (tip?.seq || 0) + 1,
+      at: new Date(),
+      action,
+      adminId: admin?._id || null,
+      adminUsername: admin?.username || null,
+      ip,
+      userAgent,
+      userId: userId || null,
+      txId: txId || null,
+      before: plain(before),
+      after: plain(after),
+      meta: plain(meta) || {},
+      prevHash: tip?.hash || GENESIS_HASH,
+    };
+    entry.hash = hashEntry(entry);
+
+    try {
+      return await AuditLog.create(entry);
+    } catch (err) {
+      if (err.code !== 11000) throw err;
+    }
+  }
+  throw new Error("Audit log busy, entry not written");
+}
+
+// for routes: the action already happened, so a failed write is reported rather than thrown
+export async function recordAudit(action, fields) {
+  try {
+    await appendAudit(action, fields);
+  } catch (err) {
+    console.error("AUDIT ENTRY NOT WRITTEN:", action, err.message, JSON.stringify(plain(fields)));
+  }
+}
+
+// ---------------- Verification ----------------
+/**
+ * Walks the chain in seq order. Resolves { ok, checked, lastSeq, problems } where each
+ * problem is { seq, problem }.
+ */
+export async function verifyChain() {
+  const problems = [];
+  let prev = null;
+  let checked = 0;
+
+  for await (const e of AuditLog.find().sort({ seq: 1 }).lean().cursor()) {
+    checked++;
+    const expectedSeq = prev ? prev.seq + 1 : 1;
+    if (e.seq !== expectedSeq) problems.push({ seq: e.seq, problem: `expected seq ${expectedSeq} (entries missing)` });
+    if (e.prevHash !== (prev ? prev.hash : GENESIS_HASH)) problems.push({ seq: e.seq, problem: "prevHash does not match previous entry" });
+    if (hashEntry(e) !== e.hash) problems.push({ seq: e.seq, problem: "hash does not match contents" });
+    prev = e;
+  }
+
+  return { ok: problems.length === 0, checked, lastSeq: prev?.seq || 0, problems };
+}
+
+// ---------------- CLI ----------------
+if (process.argv[1] && import.meta.url === pathToFileURL(process.argv[1]).href) {
+  dotenv.config();
+
+  try {
+    if (process.argv[2] !== "verify") throw new Error("Usage: node audit.js verify");
+    if (!process.env.MONGO_URI) throw new Error("MONGO_URI not set");
+    await connectDB();
+    const r = await verifyChain();
+    console.log(JSON.stringify(r, null, 2));
+    process.exitCode = r.ok ? 0 : 1;
+  } catch (err) {
+    console.error(err.message);
+    process.exitCode = 1;
+  } finally {
+    await mongoose.disconnect();
+  }
+}
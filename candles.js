@@ -0,0 +1,103 @@
+// candles.js
+// Price history for /api/chart. A poller stores one PriceSnapshot per coin from the price
+// service every PRICE_POLL_SECONDS; charts are OHLC candles aggregated from those snapshots.
+
+import { PriceSnapshot } from "./db.js";
+import { getQuotes, PRICE_IDS } from "./prices.js";
+
+export const INTERVALS = {
+  "1m": 60 * 1000,
+  "5m": 5 * 60 * 1000,
+  "1h": 60 * 60 * 1000,
+  "1d": 24 * 60 * 60 * 1000,
+};
+
+// chart ranges in days
+export const RANGES = { "1H": 1 / 24, "6H": 6 / 24, "1D": 1, "7D": 7, "30D": 30, "1Y": 365 };
+
+const MAX_CANDLES = 2000;
+
+// `field` is the query parameter at fault, for fieldError()
+export class ChartError extends Error {
+  constructor(message, field) {
+    super(message);
+    this.name = "ChartError";
+    this.field = field;
+  }
+}
+
+// accepts a symbol ("BTC") or the CoinGecko id the pages use ("bitcoin")
+export function resolveCoin(param) {
+  const p = String(param || "");
+  if (Object.hasOwn(PRICE_IDS, p.toUpperCase())) return p.toUpperCase();
+  return Object.keys(PRICE_IDS).find((s) => PRICE_IDS[s] === p.toLowerCase()) || null;
+}
+
+// smallest interval that keeps the range under MAX_CANDLES
+export function defaultInterval(days) {
+  const span = days * INTERVALS["1d"];
+  return Object.keys(INTERVALS).find((k) => span / INTERVALS[k] <= MAX_CANDLES / 2) || "1d";
+}
+
+// ---------------- Snapshots ----------------
+let lastRecordedAt = null;
+
+export async function recordSnapshot() {
+  const { quotes, updatedAt, stale } = await getQuotes();
+  // stale or still-cached answers repeat a quote we already have, not a new observation
+  if (stale || updatedAt === lastRecordedAt) return 0;
+  lastRecordedAt = updatedAt;
+
+  // only prices observed in this fetch; carried-over and made-up (fixture) ones stay out of history
+  const docs = Object.entries(quotes)
+    .filter(([, q]) => q.source !== "fixture" && q.at === updatedAt)
+    .map(([coin, q]) => ({ coin, usd: q.usd, source: q.source, at: updatedAt }));
+  if (docs.length) await PriceSnapshot.insertMany(docs);
+  return docs.length;
+}
+
+export function startPricePoller({ intervalMs = 60 * 1000 } = {}) {
+  const tick = () => recordSnapshot().catch((err) => console.error("Price snapshot failed:", err.message));
+  const timer = setInterval(tick, intervalMs);
+  timer.unref();
+  tick();
+  return () => clearInterval(timer);
+}
+
+// ---------------- Candles ----------------
+/**
+ * OHLC candles for `coin` between `from` and `to`, oldest first.
+ * Each candle is { t, open, high, low, close, samples } with t the bucket start (ms).
+ */
+export async function getCandles(coin, { from, to = new Date(), interval }) {
+  const ms = INTERVALS[interval];
+  if (!ms) throw new ChartError(`Unknown interval ${interval}`, "interval");
+  if (!(from < to)) throw new ChartError("Invalid range", "days");
+  if ((to - from) / ms > MAX_CANDLES) throw new ChartError(`Range too long for ${interval} candles`, "interval");
+
+  const rows = await PriceSnapshot.aggregate([
+    { $match: { coin, at: { $gte: from, $lte: to } } },
+    { $sort: { at: 1 } },
+    {
+      $group: {
+        _id: { $subtract: [{ $toLong: "$at" }, { $mod: [{ $toLong: "$at" }, ms] }] },
+        open: { $first: "$usd" },
+        high: { $max: "$usd" },
+        low: { $min: "$usd" },
+        close: { $last: "$usd" },
+        samples: { $sum: 1 },
+      },
+    },
+    { $sort: { _id: 1 } },
+  ]);
+
+  return rows.map((r) => ({ t: Number(r._id), open: r.open, high: r.high, low: r.low, close: r.close, samples: r.samples }));
+}
+
+export function candlesToCsv(candles) {
+  const lines = ["time,open,high,low,close,samples"];
+  for (const c of candles) {
+    lines.push([new Date(c.t).toISOString(), c.open, c.high, c.low, c.close, c.samples].join(","));
+  }
+  return lines.join("\n") + "\n";
+}
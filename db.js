@@ -1,5 +1,10 @@
 // db.js
 import mongoose from "mongoose";
+import { WALLET_COINS } from "./assets.js";
+import "./money.js"; // Decimal128 -> JSON as plain decimal strings
+
+// coin amounts are exact decimals (see money.js); this is the schema type for all of them
+const Amount = mongoose.Schema.Types.Decimal128;
 
 export async function connectDB() {
   if (process.env.MONGO_URI) {
@@ -10,14 +15,38 @@ export async function connectDB() {
   }
 }
 
-// User schema - multi-coin balances
-const balancesSchema = new mongoose.Schema({
-  BTC: { type: Number, default: 0 },
-  ETH: { type: Number, default: 0 },
-  USDT: { type: Number, default: 0 },
-  BNB: { type: Number, default: 0 },
-  ADA: { type: Number, default: 0 },
-  USD: { type: Number, default: 0 } // for membership payouts / platform USD accounting
+// User schema - one balance per wallet asset in the registry (assets.json); USD is the
+// platform's own unit for membership payouts
+const balancesSchema = new mongoose.Schema(
+  Object.fromEntries(WALLET_COINS.map((coin) => [coin, { type: Amount, default: "0" }])),
+  { _id: false }
+);
+
+// TOTP two-factor state; not selected unless asked for with "+twoFactor"
+const twoFactorSchema = new mongoose.Schema({
+  enabled: { type: Boolean, default: false },
+  secret: { type: String, default: null },
+  pendingSecret: { type: String, default: null }, // enrollment awaiting a confirming code
+  recoveryCodes: { type: [String], default: [] }, // sha256 of unused one-time codes
+  lastStep: { type: Number, default: -1 }, // last accepted time step, blocks replays
+  enabledAt: { type: Date, default: null }
+}, { _id: false });
+
+// identity verification state; the documents themselves are on KycSubmission
+export const KYC_STATUSES = ["NONE", "PENDING", "APPROVED", "REJECTED"];
+
+const kycSchema = new mongoose.Schema({
+  status: { type: String, enum: KYC_STATUSES, default: "NONE" },
+  reason: { type: String, default: null }, // shown to the user when REJECTED
+  submittedAt: { type: Date, default: null },
+  reviewedAt: { type: Date, default: null }
+}, { _id: false });
+
+// email change waiting for the owner of the new address to confirm it
+const pendingEmailSchema = new mongoose.Schema({
+  email: { type: String, default: null },
+  tokenHash: { type: String, default: null }, // sha256 of the emailed token
+  expiresAt: { type: Date, default: null }
 }, { _id: false });
 
 const userSchema = new mongoose.Schema({
@@ -26,30 +55,67 @@ const userSchema = new mongoose.Schema({
   password: { type: String, required: true },
   vip: { type: Boolean, default: false },
   balances: { type: balancesSchema, default: () => ({}) },
+  lockedBalances: { type: balancesSchema, default: () => ({}) }, // held for pending withdrawals
   membership: { type: String, default: "NONE" },
-  membershipActivatedAt: { type: Date, default: null }
+  membershipActivatedAt: { type: Date, default: null },
+  twoFactor: { type: twoFactorSchema, default: () => ({}), select: false },
+  kyc: { type: kycSchema, default: () => ({}) },
+  withdrawWhitelist: { type: Boolean, default: false }, // only saved payment methods can be withdrawn to
+  withdrawLeaseUntil: { type: Date, default: null }, // a withdrawal request is checking the limit (server.js)
+  bio: { type: String, default: "", maxlength: 280 },
+  pendingEmail: { type: pendingEmailSchema, default: () => ({}), select: false },
+  usernameChangedAt: { type: Date, default: null },
+  // when the ledger started accounting for this wallet; set by /api/register, and by
+  // migrate-opening-balances.js for accounts that predate the ledger. No default: mongoose
+  // would fill it in on older documents as they load and write it on their next save()
+  ledgerOpenedAt: { type: Date }
 }, { timestamps: true });
+userSchema.index({ "pendingEmail.tokenHash": 1 }, { sparse: true });
 
 export const User = mongoose.models.User || mongoose.model("User", userSchema);
 
-// Transaction schema (unchanged except coin stays string)
+// Transaction taxonomy - every write is checked against these (see migrate-transactions.js
+// for bringing older documents in line)
+export const TX_TYPES = [
+  "DEPOSIT",
+  "WITHDRAW",
+  "TRANSFER",
+  "PAYOUT",
+  "MEMBERSHIP_PAYOUT",
+  "BONUS",
+  "FEE",
+  "ADJUSTMENT",
+  "REFUND"
+];
+// AWAITING_SECOND_APPROVAL: a large withdrawal one admin has approved, waiting for a second
+export const TX_STATUSES = ["PENDING", "AWAITING_SECOND_APPROVAL", "CONFIRMED", "DECLINED", "CANCELLED"];
+
 const transactionSchema = new mongoose.Schema({
   userId: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true },
-  type: { type: String, enum: ["DEPOSIT","WITHDRAW","PAYOUT","MEMBERSHIP_PAYOUT"], required: true },
+  type: { type: String, enum: TX_TYPES, required: true },
   coin: { type: String, required: true },
-  amount: { type: Number, required: true },
-  status: { type: String, default: "PENDING" },
+  amount: { type: Amount, required: true },
+  status: { type: String, enum: TX_STATUSES, default: "PENDING" },
   meta: { type: Object, default: {} }
 }, { timestamps: true });
 
+// history pages sort by createdAt (or amount) with _id as the tie-break
+transactionSchema.index({ userId: 1, createdAt: -1, _id: -1 });
+transactionSchema.index({ createdAt: -1, _id: -1 });
+
+// updateOne/findOneAndUpdate skip enum checks unless asked; always ask
+transactionSchema.pre(["updateOne", "updateMany", "findOneAndUpdate"], function () {
+  this.setOptions({ runValidators: true });
+});
+
 export const Transaction = mongoose.models.Transaction || mongoose.model("Transaction", transactionSchema);
 
 // Deposit (optional)
 const depositSchema = new mongoose.Schema({
   userId: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true },
   coin: String,
-  amount_expected: Number,
-  amount_received: { type: Number, default: 0 },
+  amount_expected: Amount,
+  amount_received: { type: Amount, default: "0" },
   address: String,
   tx_hash: String,
   status: { type: String, default: "PENDING" },
@@ -58,18 +124,250 @@ const depositSchema = new mongoose.Schema({
 
 export const Deposit = mongoose.models.Deposit || mongoose.model("Deposit", depositSchema);
 
-// Membership schema
+// Membership plan catalog (see tiers.js): each plan with the terms of its current version, and
+// every version of those terms, which never change once written
+const membershipPlanSchema = new mongoose.Schema({
+  _id: { type: String }, // the tier id, e.g. "V1"
+  name: { type: String, default: null },
+  rank: { type: Number, required: true, unique: true },
+  enabled: { type: Boolean, default: true },
+  saleStartsAt: { type: Date, default: null },
+  saleEndsAt: { type: Date, default: null },
+  version: { type: Number, required: true },
+  price: { type: Amount, required: true },
+  dailyAmount: { type: Amount, required: true },
+  durationDays: { type: Number, required: true },
+  bonus: { type: Amount, default: "0" },
+  updatedBy: { type: Object, default: null }
+}, { timestamps: true });
+
+export const MembershipPlan = mongoose.models.MembershipPlan || mongoose.model("MembershipPlan", membershipPlanSchema);
+
+const membershipPlanVersionSchema = new mongoose.Schema({
+  planId: { type: String, required: true },
+  version: { type: Number, required: true },
+  price: { type: Amount, required: true },
+  dailyAmount: { type: Amount, required: true },
+  durationDays: { type: Number, required: true },
+  bonus: { type: Amount, default: "0" },
+  createdBy: { type: Object, default: null }
+}, { timestamps: true });
+membershipPlanVersionSchema.index({ planId: 1, version: 1 }, { unique: true });
+
+export const MembershipPlanVersion =
+  mongoose.models.MembershipPlanVersion || mongoose.model("MembershipPlanVersion", membershipPlanVersionSchema);
+
+// Membership schema - one term of a plan version; the lifecycle rules are in memberships.js.
+// UPGRADED: ended early because a higher tier replaced it (upgradedFrom on the new one)
+export const MEMBERSHIP_STATUSES = ["ACTIVE", "COMPLETED", "CANCELLED", "UPGRADED"];
+
 const membershipSchema = new mongoose.Schema({
   userId: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true },
-  tier: { type: String, enum: ["V1","V2","V3","V4","V5"], required: true },
+  tier: { type: String, required: true },
+  planVersion: { type: Number, default: null }, // the MembershipPlanVersion whose terms it runs on
+  price: { type: Amount, default: null }, // the tier's price when bought; upgrades are charged the difference
+  txId: { type: mongoose.Schema.Types.ObjectId, ref: "Transaction", default: null }, // the approved payment
+  upgradedFrom: { type: mongoose.Schema.Types.ObjectId, ref: "Membership", default: null },
   startDate: { type: Date, default: Date.now },
-  status: { type: String, enum: ["ACTIVE","COMPLETED","CANCELLED"], default: "ACTIVE" },
+  endedAt: { type: Date, default: null },
+  status: { type: String, enum: MEMBERSHIP_STATUSES, default: "ACTIVE" },
   durationDays: { type: Number, default: 5 },
   daysPaid: { type: Number, default: 0 },
-  dailyAmount: { type: Number, required: true },
-  bonusAtMonthEnd: { type: Number, default: 0 },
+  dailyAmount: { type: Amount, required: true },
+  bonusAtMonthEnd: { type: Amount, default: "0" },
   lastPayout: { type: Date, default: null },
   bonusPaid: { type: Boolean, default: false }
 }, { timestamps: true });
+membershipSchema.index({ userId: 1, status: 1 });
 
 export const Membership = mongoose.models.Membership || mongoose.model("Membership", membershipSchema);
+
+// Ledger entries - double-entry journal behind every balance change.
+// Accounts are "user:<id>" for wallets and "system:<name>" for the platform side.
+// A user wallet is credited when its balance grows and debited when it shrinks.
+const ledgerEntrySchema = new mongoose.Schema({
+  journalId: { type: mongoose.Schema.Types.ObjectId, required: true, index: true },
+  kind: { type: String, required: true },
+  account: { type: String, required: true },
+  userId: { type: mongoose.Schema.Types.ObjectId, ref: "User", default: null, index: true },
+  coin: { type: String, required: true },
+  debit: { type: Amount, default: "0" },
+  credit: { type: Amount, default: "0" },
+  txId: { type: mongoose.Schema.Types.ObjectId, ref: "Transaction", default: null },
+  meta: { type: Object, default: {} }
+}, { timestamps: true });
+
+export const LedgerEntry = mongoose.models.LedgerEntry || mongoose.model("LedgerEntry", ledgerEntrySchema);
+
+// Price snapshots - written by the price poller, aggregated into chart candles.
+// Kept a little over a year so the 1Y chart range always has data.
+const priceSnapshotSchema = new mongoose.Schema({
+  coin: { type: String, required: true },
+  usd: { type: Number, required: true },
+  source: { type: String, default: null },
+  at: { type: Date, required: true, default: Date.now }
+});
+priceSnapshotSchema.index({ coin: 1, at: 1 });
+priceSnapshotSchema.index({ at: 1 }, { expireAfterSeconds: 400 * 24 * 60 * 60 });
+
+export const PriceSnapshot = mongoose.models.PriceSnapshot || mongoose.model("PriceSnapshot", priceSnapshotSchema);
+
+// Rate limit counters for the Mongo-backed limiter store (see ratelimit.js)
+const rateLimitSchema = new mongoose.Schema({
+  _id: { type: String },
+  count: { type: Number, default: 0 },
+  resetAt: { type: Date, required: true },
+  nextAttemptAt: { type: Date, default: null },
+  lockedUntil: { type: Date, default: null },
+  expiresAt: { type: Date, required: true }
+});
+rateLimitSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+export const RateLimit = mongoose.models.RateLimit || mongoose.model("RateLimit", rateLimitSchema);
+
+// Security events - failed logins, lockouts, throttling; read by /api/admin/security-events
+const securityEventSchema = new mongoose.Schema({
+  type: { type: String, required: true, index: true },
+  userId: { type: mongoose.Schema.Types.ObjectId, ref: "User", default: null, index: true },
+  account: { type: String, default: null },
+  ip: { type: String, default: null },
+  userAgent: { type: String, default: null },
+  meta: { type: Object, default: {} }
+}, { timestamps: true });
+securityEventSchema.index({ createdAt: 1 }, { expireAfterSeconds: 90 * 24 * 60 * 60 });
+
+export const SecurityEvent = mongoose.models.SecurityEvent || mongoose.model("SecurityEvent", securityEventSchema);
+
+// Password reset links - only the sha256 of the emailed token is kept; Mongo drops them once expired
+const passwordResetSchema = new mongoose.Schema({
+  userId: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true, index: true },
+  tokenHash: { type: String, required: true, unique: true },
+  expiresAt: { type: Date, required: true },
+  usedAt: { type: Date, default: null },
+  ip: { type: String, default: null }
+}, { timestamps: true });
+passwordResetSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+export const PasswordReset = mongoose.models.PasswordReset || mongoose.model("PasswordReset", passwordResetSchema);
+
+// Admin accounts - separate from User; managed with admins.js (npm run admin), which also holds the roles and permissions
+export const ADMIN_ROLES = ["viewer", "deposit-approver", "withdraw-approver", "kyc-reviewer", "support", "superadmin"];
+
+const adminSchema = new mongoose.Schema({
+  username: { type: String, unique: true, required: true, lowercase: true, trim: true },
+  password: { type: String, required: true },
+  role: { type: String, enum: ADMIN_ROLES, required: true },
+  active: { type: Boolean, default: true },
+  lastLoginAt: { type: Date, default: null }
+}, { timestamps: true });
+
+export const Admin = mongoose.models.Admin || mongoose.model("Admin", adminSchema);
+
+// Admin audit trail - append-only and hash-chained (see audit.js); every write path except insert is refused
+const auditLogSchema = new mongoose.Schema({
+  seq: { type: Number, required: true, unique: true },
+  at: { type: Date, required: true, index: true },
+  action: { type: String, required: true, index: true },
+  adminId: { type: mongoose.Schema.Types.ObjectId, ref: "Admin", default: null, index: true },
+  adminUsername: { type: String, default: null },
+  ip: { type: String, default: null },
+  userAgent: { type: String, default: null },
+  userId: { type: mongoose.Schema.Types.ObjectId, ref: "User", default: null, index: true },
+  txId: { type: mongoose.Schema.Types.ObjectId, ref: "Transaction", default: null, index: true },
+  before: { type: Object, default: null },
+  after: { type: Object, default: null },
+  meta: { type: Object, default: {} },
+  prevHash: { type: String, required: true },
+  hash: { type: String, required: true }
+}, { minimize: false });
+
+const refuseAuditChange = function () {
+  throw new Error("AuditLog is append-only");
+};
+auditLogSchema.pre("save", function () {
+  if (!this.isNew) refuseAuditChange();
+});
+auditLogSchema.pre(
+  ["updateOne", "updateMany", "findOneAndUpdate", "replaceOne", "findOneAndReplace", "deleteOne", "deleteMany", "findOneAndDelete"],
+  { document: false, query: true },
+  refuseAuditChange
+);
+
+export const AuditLog = mongoose.models.AuditLog || mongoose.model("AuditLog", auditLogSchema);
+
+// KYC submissions - one per /api/verify-id upload; files are storage keys (see kyc.js)
+const kycFileSchema = new mongoose.Schema({
+  key: { type: String, required: true },
+  mimeType: { type: String, required: true },
+  size: { type: Number, required: true },
+  sha256: { type: String, required: true }
+}, { _id: false });
+
+const kycSubmissionSchema = new mongoose.Schema({
+  userId: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true, index: true },
+  status: { type: String, enum: ["PENDING", "APPROVED", "REJECTED"], default: "PENDING", index: true },
+  files: {
+    front: { type: kycFileSchema, required: true },
+    back: { type: kycFileSchema, required: true },
+    selfie: { type: kycFileSchema, required: true }
+  },
+  reason: { type: String, default: null },
+  reviewedBy: { type: Object, default: null } // { adminId, username, at }
+}, { timestamps: true });
+
+export const KycSubmission = mongoose.models.KycSubmission || mongoose.model("KycSubmission", kycSubmissionSchema);
+
+// Saved withdrawal destinations; usable once the cooling-off period (usableAfter) has passed
+const paymentMethodSchema = new mongoose.Schema({
+  userId: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true },
+  coin: { type: String, required: true },
+  network: { type: String, required: true },
+  address: { type: String, required: true },
+  label: { type: String, default: null },
+  usableAfter: { type: Date, required: true }
+}, { timestamps: true });
+paymentMethodSchema.index({ userId: 1, coin: 1, network: 1, address: 1 }, { unique: true });
+
+export const PaymentMethod = mongoose.models.PaymentMethod || mongoose.model("PaymentMethod", paymentMethodSchema);
+
+// Support tickets - a thread of user/admin messages, optionally about one transaction
+export const TICKET_STATUSES = ["OPEN", "AWAITING_USER", "RESOLVED"];
+
+const ticketMessageSchema = new mongoose.Schema({
+  author: { type: String, enum: ["USER", "ADMIN"], required: true },
+  adminId: { type: mongoose.Schema.Types.ObjectId, ref: "Admin", default: null },
+  adminUsername: { type: String, default: null },
+  body: { type: String, required: true },
+  at: { type: Date, default: Date.now }
+});
+
+const supportTicketSchema = new mongoose.Schema({
+  userId: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true },
+  subject: { type: String, required: true },
+  txId: { type: mongoose.Schema.Types.ObjectId, ref: "Transaction", default: null, index: true },
+  status: { type: String, enum: TICKET_STATUSES, default: "OPEN" },
+  assignedTo: { type: mongoose.Schema.Types.ObjectId, ref: "Admin", default: null },
+  messages: { type: [ticketMessageSchema], default: [] },
+  lastMessageAt: { type: Date, default: Date.now }
+}, { timestamps: true });
+supportTicketSchema.index({ userId: 1, lastMessageAt: -1 });
+supportTicketSchema.index({ status: 1, lastMessageAt: -1 });
+
+export const SupportTicket = mongoose.models.SupportTicket || mongoose.model("SupportTicket", supportTicketSchema);
+
+// Idempotency-Key records for money-moving requests (see idempotency.js): the first response
+// per key and caller, replayed to retries until Mongo drops it at expiresAt
+const idempotencyKeySchema = new mongoose.Schema({
+  owner: { type: String, required: true },
+  key: { type: String, required: true },
+  route: { type: String, required: true },
+  requestHash: { type: String, required: true },
+  status: { type: Number, default: null },
+  response: { type: Object, default: null },
+  completedAt: { type: Date, default: null },
+  expiresAt: { type: Date, required: true }
+}, { timestamps: true });
+idempotencyKeySchema.index({ owner: 1, key: 1 }, { unique: true });
+idempotencyKeySchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+export const IdempotencyKey = mongoose.models.IdempotencyKey || mongoose.model("IdempotencyKey", idempotencyKeySchema);
@@ -0,0 +1,120 @@
+// idempotency.js
+// Idempotency-Key support for the money-moving POST routes (transfers, deposits, withdrawals,
+// admin approvals). A client sends a fresh key per action and the same key when it retries it;
+// the first response for a key is stored per caller (IdempotencyKey in db.js) and every retry
+// gets that response back, marked with `Idempotent-Replayed: true`, instead of running again.
+//   - the same key with a different request: 422, code IDEMPOTENCY_KEY_REUSED
+//   - the same key while the first request is still running: 409, code IDEMPOTENCY_IN_PROGRESS
+// Responses that aren't a final answer - a sign-in or 2FA challenge (401), a server error, or
+// anything sent with Retry-After (busy, try again) - are not kept, so the key can be retried. Requests without the header run as before.
+// Goes after the auth middleware and validate(), and before requireFreshTotp: the 2FA code is
+// left out of the comparison (a retry can't reuse a code) and a replay doesn't need a new one.
+
+import crypto from "crypto";
+import { IdempotencyKey } from "./db.js";
+import { fieldError } from "./validate.js";
+
+export const HEADER = "Idempotency-Key";
+const KEY_PATTERN = /^[\x21-\x7e]{1,255}$/;
+
+// how long a key's response is replayed (IDEMPOTENCY_TTL_HOURS, default 24)
+const ttlMs = () => Number(process.env.IDEMPOTENCY_TTL_HOURS ?? 24) * 60 * 60 * 1000;
+
+// responses a retry should run again for
+const isFinal = (res) => res.statusCode !== 401 && res.statusCode < 500 && !res.get("Retry-After");
+
+// who the key belongs to: the signed-in admin on admin routes, else the user
+const ownerOf = (req) => (req.admin ? `admin:${req.admin._id}` : `user:${req.session.userId}`);
+
+function requestHash(req) {
+  const { totp, ...body } = req.body || {};
+  return crypto
+    .createHash("sha256")
+    .update(JSON.stringify({ params: req.params, query: req.query, body }))
+    .digest("hex");
+}
+
+// inserts the key record; the unique index lets one request through. Resolves null when this
+// request got the key, else the record that was there first.
+async function claim(fields) {
+  try {
+    await IdempotencyKey.create(fields);
+    return null;
+  } catch (err) {
+    if (err.code !== 11000) throw err;
+    const record = await IdempotencyKey.findOne({ owner: fields.owner, key: fields.key }).lean();
+    // released in between by a first attempt that failed: this one may run instead
+    return record || claim(fields);
+  }
+}
+
+function replay(res, record) {
+  res.set("Idempotent-Replayed", "true");
+  return res.status(record.status).json(record.response);
+}
+
+export function idempotent() {
+  const middleware = async (req, res, next) => {
+    const key = req.get(HEADER);
+    if (key == null) return next();
+    if (!KEY_PATTERN.test(key)) return fieldError(res, HEADER, `${HEADER} must be 1-255 visible ASCII characters`);
+
+    const owner = ownerOf(req);
+    const route = `${req.method} ${req.baseUrl}${req.route.path}`;
+    const hash = requestHash(req);
+    let existing;
+    try {
+      existing = await claim({ owner, key, route, requestHash: hash, expiresAt: new Date(Date.now() + ttlMs()) });
+    } catch (err) {
+      return res.status(500).json({ error: err.message });
+    }
+    if (existing) {
+      if (existing.route !== route || existing.requestHash !== hash) {
+        return res.status(422).json({ error: `${HEADER} was already used for a different request`, code: "IDEMPOTENCY_KEY_REUSED" });
+      }
+      if (existing.completedAt) return replay(res, existing);
+      res.set("Retry-After", "1");
+      return res.status(409).json({ error: "A request with this key is still being processed", code: "IDEMPOTENCY_IN_PROGRESS" });
+    }
+
+    // the response is stored before it is sent, so a retry never misses it
+    let settled = false;
+    const json = res.json.bind(res);
+    res.json = (body) => {
+      settled = true;
+      const status = res.statusCode;
+      const saved = isFinal(res)
+        ? IdempotencyKey.updateOne(
+            { owner, key },
+            { $set: { status, response: JSON.parse(JSON.stringify(body ?? null)), completedAt: new Date() } }
+          )
+        : IdempotencyKey.deleteOne({ owner, key });
+      saved
+        .exec()
+        .catch((err) => console.error("Idempotency key save error:", err))
+        .finally(() => json(body));
+      return res;
+    };
+    // anything that ends without a JSON answer frees the key again
+    res.on("close", () => {
+      if (!settled) IdempotencyKey.deleteOne({ owner, key }).catch((err) => console.error("Idempotency key release error:", err));
+    });
+    next();
+  };
+
+  // read by openapi.js
+  middleware.apiParameters = [
+    {
+      name: HEADER,
+      in: "header",
+      required: false,
+      description: "A fresh value per action (e.g. a UUID), repeated on retries; the first response is replayed",
+      schema: { type: "string", minLength: 1, maxLength: 255 },
+    },
+  ];
+  middleware.apiResponses = {
+    409: { description: "The first request with this Idempotency-Key is still running" },
+    422: { description: "The Idempotency-Key was already used for a different request" },
+  };
+  return middleware;
+}
@@ -0,0 +1,124 @@
+// kyc.js
+// Identity verification for /api/verify-id: multipart parsing with type/size checks, a
+// pluggable document store (local disk by default, KYC_STORAGE_DIR) and the per-status
+// withdrawal limits. Review decisions happen in the /api/admin/kyc routes.
+
+import crypto from "crypto";
+import fs from "fs";
+import path from "path";
+import multer from "multer";
+import { fileURLToPath } from "url";
+import { KYC_STATUSES } from "./db.js";
+import { fieldError } from "./validate.js";
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+export const KYC_SIDES = ["front", "back", "selfie"];
+
+// `field` is the upload field at fault, for fieldError()
+export class KycError extends Error {
+  constructor(message, code, field = "files") {
+    super(message);
+    this.name = "KycError";
+    this.code = code;
+    this.field = field;
+  }
+}
+
+// ---------------- Upload validation ----------------
+// checked against the file's first bytes; the browser-supplied content type is not trusted
+const SIGNATURES = [
+  { mimeType: "image/jpeg", ext: "jpg", test: (b) => b[0] === 0xff && b[1] === 0xd8 && b[2] === 0xff },
+  { mimeType: "image/png", ext: "png", test: (b) => b.subarray(0, 8).equals(Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a])) },
+  { mimeType: "image/webp", ext: "webp", test: (b) => b.toString("latin1", 0, 4) === "RIFF" && b.toString("latin1", 8, 12) === "WEBP" },
+];
+
+export const sniffImage = (buffer) => SIGNATURES.find((s) => buffer.length >= 12 && s.test(buffer)) || null;
+
+// multer middleware for the three document fields; size/count errors become validation 400s
+export function kycUpload({ maxBytes = Number(process.env.KYC_MAX_FILE_MB || 5) * 1024 * 1024 } = {}) {
+  const parse = multer({
+    storage: multer.memoryStorage(),
+    limits: { fileSize: maxBytes, files: KYC_SIDES.length, fields: 5 },
+  }).fields(KYC_SIDES.map((name) => ({ name, maxCount: 1 })));
+
+  return (req, res, next) =>
+    parse(req, res, (err) => {
+      if (!err) return next();
+      if (err instanceof multer.MulterError) {
+        const msg = err.code === "LIMIT_FILE_SIZE" ? `Each image must be under ${Math.round(maxBytes / 1024 / 1024)} MB` : err.message;
+        return fieldError(res, err.field || "files", msg);
+      }
+      next(err);
+    });
+}
+
+// the uploaded files as { side: { buffer, mimeType, ext, size, sha256 } }; throws KycError
+export function readUploads(files = {}) {
+  const out = {};
+  for (const side of KYC_SIDES) {
+    const f = files[side]?.[0];
+    if (!f) throw new KycError(`Missing ${side} image`, "MISSING_FILE", side);
+    const kind = sniffImage(f.buffer);
+    if (!kind) throw new KycError(`${side} must be a JPEG, PNG or WebP image`, "BAD_TYPE", side);
+    out[side] = {
+      buffer: f.buffer,
+      mimeType: kind.mimeType,
+      ext: kind.ext,
+      size: f.size,
+      sha256: crypto.createHash("sha256").update(f.buffer).digest("hex"),
+    };
+  }
+  return out;
+}
+
+// ---------------- Storage ----------------
+// a store is { name, save(key, buffer), open(key) -> readable stream, remove(key) }
+
+export function localDiskStorage({ dir = path.join(__dirname, "uploads", "kyc") } = {}) {
+  const root = path.resolve(dir);
+  const resolve = (key) => {
+    const p = path.resolve(root, key);
+    if (!p.startsWith(root + path.sep)) throw new KycError("Invalid storage key", "BAD_KEY");
+    return p;
+  };
+
+  return {
+    name: "disk",
+    async save(key, buffer) {
+      const p = resolve(key);
+      await fs.promises.mkdir(path.dirname(p), { recursive: true });
+      await fs.promises.writeFile(p, buffer, { flag: "wx", mode: 0o600 });
+    },
+    async open(key) {
+      const p = resolve(key);
+      await fs.promises.access(p);
+      return fs.createReadStream(p);
+    },
+    async remove(key) {
+      await fs.promises.rm(resolve(key), { force: true });
+    },
+  };
+}
+
+// default store, built on first use so .env has been loaded by then
+let defaultStorage = null;
+
+export function kycStorage() {
+  defaultStorage ||= localDiskStorage(process.env.KYC_STORAGE_DIR ? { dir: process.env.KYC_STORAGE_DIR } : {});
+  return defaultStorage;
+}
+
+export const storageKey = (userId, submissionId, side, ext) => `${userId}/${submissionId}-${side}.${ext}`;
+
+// ---------------- Withdrawal limits ----------------
+// USD value a user may withdraw per rolling 24h, by KYC status (KYC_WITHDRAW_LIMIT_<STATUS>_USD)
+const DEFAULT_LIMITS_USD = { NONE: 1000, PENDING: 1000, REJECTED: 1000, APPROVED: 50000 };
+
+export function withdrawLimitUsd(status = "NONE") {
+  const s = KYC_STATUSES.includes(status) ? status : "NONE";
+  const env = process.env[`KYC_WITHDRAW_LIMIT_${s}_USD`];
+  return env != null ? Number(env) : DEFAULT_LIMITS_USD[s];
+}
+
+export const WITHDRAW_LIMIT_WINDOW_MS = 24 * 60 * 60 * 1000;
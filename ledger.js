@@ -0,0 +1,313 @@
+// ledger.js
+// Double-entry ledger on top of db.js. Every change to User.balances goes through post():
+// entries are checked to balance per coin, user wallets (available balances plus the
+// lockedBalances holds for pending withdrawals) are moved with conditional $inc
+// updates and the journal is written in the same Mongo transaction when the deployment
+// supports one (replica set / Atlas). On a standalone server we fall back to conditional
+// updates with compensation, and rebuildBalances() can be used to audit any drift.
+// Amounts are exact decimals (money.js): journals must balance to the last unit.
+
+import mongoose from "mongoose";
+import { User, LedgerEntry } from "./db.js";
+import * as money from "./money.js";
+
+export const COINS = Object.keys(User.schema.path("balances").schema.paths);
+
+// platform-side accounts that balance the user wallets
+export const SYSTEM = {
+  DEPOSITS: "system:deposits",
+  WITHDRAWALS: "system:withdrawals",
+  PAYOUTS: "system:payouts",
+  OPENING: "system:opening",
+};
+
+export class LedgerError extends Error {
+  constructor(message, code) {
+    super(message);
+    this.name = "LedgerError";
+    this.code = code;
+  }
+}
+
+export const userAccount = (userId) => `user:${userId}`;
+// funds reserved for a pending withdrawal; stored in User.lockedBalances
+export const heldAccount = (userId) => `user:${userId}:held`;
+
+// user account -> { userId, field } of the wallet it maps onto; null for system accounts
+function walletOf(account) {
+  const m = /^user:([0-9a-f]{24})(:held)?$/.exec(account);
+  if (!m) return null;
+  return { userId: new mongoose.Types.ObjectId(m[1]), field: m[2] ? "lockedBalances" : "balances" };
+}
+
+// ---------------- Transactions ----------------
+let transactionsSupported = true;
+
+function isTransactionUnsupported(err) {
+  return err?.code === 20 || /Transaction numbers are only allowed|replica set/i.test(err?.message || "");
+}
+
+// runs work(session) in one Mongo transaction, or work(null) where the deployment has none -
+// then the caller undoes its own writes on failure (as post() does for wallets)
+export async function atomically(work) {
+  if (transactionsSupported) {
+    const session = await mongoose.startSession();
+    try {
+      let result;
+      await session.withTransaction(async () => {
+        result = await work(session);
+      });
+      return result;
+    } catch (err) {
+      if (!isTransactionUnsupported(err)) throw err;
+      transactionsSupported = false;
+      console.warn("Mongo transactions unavailable; ledger falling back to conditional updates");
+    } finally {
+      await session.endSession();
+    }
+  }
+  return work(null);
+}
+
+// ---------------- Posting ----------------
+// checks a journal and converts its amounts to BigInt units; throws LedgerError
+export function normalizeEntries(entries) {
+  if (!Array.isArray(entries) || entries.length < 2) {
+    throw new LedgerError("A journal needs at least two entries", "UNBALANCED");
+  }
+
+  const totals = {};
+  const normalized = entries.map((e) => {
+    if (!COINS.includes(e.coin)) throw new LedgerError(`Unsupported coin ${e.coin}`, "UNKNOWN_COIN");
+    if (!e.account) throw new LedgerError("Entry account required", "BAD_ENTRY");
+    if (e.account.startsWith("user:") && !walletOf(e.account)) {
+      throw new LedgerError(`Bad user account ${e.account}`, "BAD_ENTRY");
+    }
+    let debit, credit;
+    try {
+      debit = money.units(e.debit ?? 0);
+      credit = money.units(e.credit ?? 0);
+    } catch (err) {
+      throw new LedgerError(`Bad amount: ${err.message}`, "BAD_ENTRY");
+    }
+    if (debit < 0n || credit < 0n || debit + credit <= 0n) {
+      throw new LedgerError("Entry needs a positive debit or credit", "BAD_ENTRY");
+    }
+
+    totals[e.coin] = (totals[e.coin] || 0n) + credit - debit;
+    const wallet = walletOf(e.account);
+    return { account: e.account, userId: wallet?.userId || null, coin: e.coin, debit, credit };
+  });
+
+  for (const [coin, net] of Object.entries(totals)) {
+    if (net !== 0n) throw new LedgerError(`Journal does not balance for ${coin}`, "UNBALANCED");
+  }
+  return normalized;
+}
+
+// net change per user wallet and coin, debits first so we fail before crediting anyone
+function walletDeltas(entries) {
+  const byKey = new Map();
+  for (const e of entries) {
+    const wallet = walletOf(e.account);
+    if (!wallet) continue;
+    const key = `${e.account}:${e.coin}`;
+    const cur = byKey.get(key) || { ...wallet, coin: e.coin, delta: 0n };
+    cur.delta += e.credit - e.debit;
+    byKey.set(key, cur);
+  }
+  return [...byKey.values()]
+    .filter((d) => d.delta !== 0n)
+    .sort((a, b) => (a.delta < b.delta ? -1 : a.delta > b.delta ? 1 : 0));
+}
+
+// $inc with a Decimal128 keeps the stored balance an exact decimal
+const dec = (u) => money.toDecimal128(money.fromUnits(u));
+
+async function applyDelta({ userId, field, coin, delta }, session) {
+  const path = `${field}.${coin}`;
+  const filter = delta < 0n ? { _id: userId, [path]: { $gte: dec(-delta) } } : { _id: userId };
+  const r = await User.updateOne(filter, { $inc: { [path]: dec(delta) } }, { session });
+  if (r.matchedCount === 1) return;
+
+  if (delta < 0n) throw new LedgerError("Insufficient balance", "INSUFFICIENT_FUNDS");
+  throw new LedgerError("User not found", "USER_NOT_FOUND");
+}
+
+async function revert(applied) {
+  for (const d of applied.reverse()) {
+    await User.updateOne({ _id: d.userId }, { $inc: { [`${d.field}.${d.coin}`]: dec(-d.delta) } }).catch((err) =>
+      console.error("Ledger compensation failed:", { ...d, delta: money.fromUnits(d.delta) }, err)
+    );
+  }
+}
+
+/**
+ * Post a balanced journal and apply it to the user wallets.
+ * `within(session)` runs in the same transaction for related writes (transaction status,
+ * memberships...); if it throws, the whole journal is rolled back.
+ * Resolves to { journalId, result } where result is what `within` returned.
+ */
+export async function post({ kind, entries, txId = null, meta = {} }, within) {
+  if (!kind) throw new LedgerError("Journal kind required", "BAD_ENTRY");
+  const normalized = normalizeEntries(entries);
+  const deltas = walletDeltas(normalized);
+
+  return atomically(async (session) => {
+    const journalId = new mongoose.Types.ObjectId();
+    const applied = [];
+    try {
+      for (const d of deltas) {
+        await applyDelta(d, session);
+        applied.push(d);
+      }
+      const result = within ? await within(session) : undefined;
+      await LedgerEntry.insertMany(
+        normalized.map((e) => ({ ...e, debit: dec(e.debit), credit: dec(e.credit), journalId, kind, txId, meta })),
+        { session }
+      );
+      return { journalId, result };
+    } catch (err) {
+      if (!session) await revert(applied);
+      throw err;
+    }
+  });
+}
+
+// move `amount` of `coin` from one account to another (debit `from`, credit `to`)
+export function move({ kind, from, to, coin, amount, txId, meta }, within) {
+  return post(
+    {
+      kind,
+      txId,
+      meta,
+      entries: [
+        { account: from, coin, debit: amount },
+        { account: to, coin, credit: amount },
+      ],
+    },
+    within
+  );
+}
+
+// ---------------- Audit ----------------
+async function accountBalances(account) {
+  const rows = await LedgerEntry.aggregate([
+    { $match: { account } },
+    { $group: { _id: "$coin", credit: { $sum: "$credit" }, debit: { $sum: "$debit" } } },
+  ]);
+
+  const balances = Object.fromEntries(COINS.map((c) => [c, "0"]));
+  for (const r of rows) balances[r._id] = money.sub(money.toString(r.credit), money.toString(r.debit));
+  return balances;
+}
+
+export async function ledgerBalances(userId) {
+  return {
+    balances: await accountBalances(userAccount(userId)),
+    lockedBalances: await accountBalances(heldAccount(userId)),
+  };
+}
+
+// compare the stored wallet against the ledger; with apply=true overwrite it with the ledger view,
+// which needs the user's opening balances journaled first (openBalances)
+export async function rebuildBalances(userId, { apply = false } = {}) {
+  const user = await User.findById(userId).select("balances lockedBalances ledgerOpenedAt").lean();
+  if (!user) throw new LedgerError("User not found", "USER_NOT_FOUND");
+  if (apply && !user.ledgerOpenedAt) {
+    throw new LedgerError("Opening balances not journaled yet; run npm run migrate:opening-balances", "NOT_OPENED");
+  }
+
+  const ledger = await ledgerBalances(userId);
+  const stored = {};
+  const drift = {};
+  const set = {};
+  for (const field of ["balances", "lockedBalances"]) {
+    stored[field] = Object.fromEntries(COINS.map((c) => [c, money.toString(user[field]?.[c])]));
+    for (const c of COINS) {
+      set[`${field}.${c}`] = money.toDecimal128(ledger[field][c]);
+      const diff = money.sub(stored[field][c], ledger[field][c]);
+      if (!money.isZero(diff)) (drift[field] ||= {})[c] = diff;
+    }
+  }
+
+  const drifted = Object.keys(drift).length > 0;
+  if (apply && drifted) await User.updateOne({ _id: userId }, { $set: set });
+
+  return { opened: Boolean(user.ledgerOpenedAt), stored, ledger, drift, applied: apply && drifted };
+}
+
+// pre-multi-coin accounts kept a single `balance` number; move it into USDT through the ledger.
+// The field is only removed together with the journal, so a failed move leaves it for next time.
+export async function adoptLegacyBalance(userId) {
+  const _id = new mongoose.Types.ObjectId(String(userId));
+  const doc = await User.collection.findOne({ _id, balance: { $exists: true } }, { projection: { balance: 1 } });
+  if (!doc) return "0";
+  const legacy = doc.balance == null ? "0" : money.forCoin("USDT", doc.balance);
+  if (!money.isPositive(legacy)) {
+    await User.collection.updateOne({ _id, balance: doc.balance }, { $unset: { balance: "" } });
+    return "0";
+  }
+
+  let unsetOutsideSession = false;
+  try {
+    await move({ kind: "OPENING_BALANCE", from: SYSTEM.OPENING, to: userAccount(userId), coin: "USDT", amount: legacy }, async (session) => {
+      // only the request that still finds the value adopts it
+      const r = await User.collection.updateOne({ _id, balance: doc.balance }, { $unset: { balance: "" } }, { session: session || undefined });
+      if (r.matchedCount !== 1) throw new LedgerError("Legacy balance already adopted", "ALREADY_ADOPTED");
+      unsetOutsideSession = !session;
+    });
+  } catch (err) {
+    // without a transaction the wallet is reverted by post(); put the field back to match
+    if (unsetOutsideSession) await User.collection.updateOne({ _id }, { $set: { balance: doc.balance } });
+    if (err.code === "ALREADY_ADOPTED") return "0";
+    throw err;
+  }
+  return legacy;
+}
+
+// ---------------- Opening balances ----------------
+/**
+ * Journals what a wallet held before the ledger existed, without changing it: one
+ * OPENING_BALANCE journal for the part of each stored balance (available and held) the ledger
+ * doesn't account for yet, then marks the user as opened (User.ledgerOpenedAt) so that
+ * rebuildBalances can apply. Stored balances below their ledger view are a real discrepancy and
+ * are reported, not journaled. Used by migrate-opening-balances.js.
+ * Resolves { opened, journaled: { balances: {coin: amount}, lockedBalances }, shortfall }.
+ */
+export async function openBalances(userId, { dryRun = false } = {}) {
+  const user = await User.findById(userId).select("ledgerOpenedAt").lean();
+  if (!user) throw new LedgerError("User not found", "USER_NOT_FOUND");
+  if (user.ledgerOpenedAt) return { opened: false, journaled: {}, shortfall: {} };
+  if (!dryRun) await adoptLegacyBalance(userId);
+
+  const { drift } = await rebuildBalances(userId);
+  const journaled = {};
+  const shortfall = {};
+  const entries = [];
+  for (const [field, coins] of Object.entries(drift)) {
+    const account = field === "lockedBalances" ? heldAccount(userId) : userAccount(userId);
+    for (const [coin, diff] of Object.entries(coins)) {
+      if (!money.isPositive(diff)) {
+        (shortfall[field] ||= {})[coin] = diff;
+        continue;
+      }
+      (journaled[field] ||= {})[coin] = diff;
+      entries.push({ account: SYSTEM.OPENING, coin, debit: diff }, { account, coin, credit: diff });
+    }
+  }
+  if (dryRun) return { opened: true, journaled, shortfall };
+
+  await atomically(async (session) => {
+    if (entries.length) {
+      const journalId = new mongoose.Types.ObjectId();
+      const meta = { source: "migration" };
+      await LedgerEntry.insertMany(
+        normalizeEntries(entries).map((e) => ({ ...e, debit: dec(e.debit), credit: dec(e.credit), journalId, kind: "OPENING_BALANCE", meta })),
+        { session }
+      );
+    }
+    await User.updateOne({ _id: userId }, { $set: { ledgerOpenedAt: new Date() } }, { session });
+  });
+  return { opened: true, journaled, shortfall };
+}
@@ -0,0 +1,109 @@
+// mailer.js
+// Outgoing email behind one small interface, so routes don't care how mail leaves the box.
+// A transport is { name, send({ to, subject, text }) }. MAIL_TRANSPORT picks the default:
+//   console - prints the message; the default outside production, refused in it (the messages
+//             carry live reset and confirmation links, which must not end up in server logs)
+//   file    - writes each message as a .eml file under MAIL_DIR (default mail/)
+//   smtp    - SMTP_HOST / SMTP_PORT / SMTP_SECURE / SMTP_USER / SMTP_PASS; the default in
+//             production, where SMTP_HOST is required. Point it at a local stand-in such as
+//             MailHog or Mailpit (localhost:1025) to test delivery
+// Anything else (an API provider) is plugged in with setTransport(). The server calls
+// mailTransport() at startup, so a production box without mail configured doesn't start.
+
+import crypto from "crypto";
+import fs from "fs";
+import path from "path";
+import nodemailer from "nodemailer";
+import { fileURLToPath } from "url";
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+export class MailError extends Error {
+  constructor(message, code) {
+    super(message);
+    this.name = "MailError";
+    this.code = code;
+  }
+}
+
+// ---------------- Transports ----------------
+export function consoleTransport({ log = console.log } = {}) {
+  return {
+    name: "console",
+    async send({ to, subject, text }) {
+      log(`--- mail to ${to} ---\nSubject: ${subject}\n\n${text}\n--- end of mail ---`);
+    },
+  };
+}
+
+export function fileTransport({ dir = path.join(__dirname, "mail") } = {}) {
+  return {
+    name: "file",
+    async send({ to, subject, text }) {
+      await fs.promises.mkdir(dir, { recursive: true });
+      const name = `${new Date().toISOString().replace(/[:.]/g, "-")}-${crypto.randomBytes(4).toString("hex")}.eml`;
+      const body = [`To: ${to}`, `From: ${mailFrom()}`, `Subject: ${subject}`, `Date: ${new Date().toUTCString()}`, "", text, ""].join("\r\n");
+      await fs.promises.writeFile(path.join(dir, name), body, { mode: 0o600 });
+    },
+  };
+}
+
+export function smtpTransport({ host = "localhost", port = 1025, secure = false, user = null, pass = null } = {}) {
+  const smtp = nodemailer.createTransport({ host, port, secure, auth: user ? { user, pass } : undefined });
+  return {
+    name: "smtp",
+    async send({ to, subject, text }) {
+      await smtp.sendMail({ from: mailFrom(), to, subject, text });
+    },
+  };
+}
+
+// ---------------- Sending ----------------
+const mailFrom = () => process.env.MAIL_FROM || "no-reply@stakeforsack.local";
+
+// built on first use so .env has been loaded by then
+let transport = null;
+
+function defaultTransport() {
+  const production = process.env.NODE_ENV === "production";
+  const kind = process.env.MAIL_TRANSPORT || (production ? "smtp" : "console");
+  if (kind === "console") {
+    if (production) throw new MailError("MAIL_TRANSPORT=console is not allowed in production; configure SMTP", "BAD_TRANSPORT");
+    return consoleTransport();
+  }
+  if (kind === "file") return fileTransport(process.env.MAIL_DIR ? { dir: process.env.MAIL_DIR } : {});
+  if (kind === "smtp") {
+    if (production && !process.env.SMTP_HOST) throw new MailError("SMTP_HOST is required in production", "BAD_TRANSPORT");
+    return smtpTransport({
+      host: process.env.SMTP_HOST || "localhost",
+      port: Number(process.env.SMTP_PORT || 1025),
+      secure: process.env.SMTP_SECURE === "true",
+      user: process.env.SMTP_USER || null,
+      pass: process.env.SMTP_PASS || null,
+    });
+  }
+  throw new MailError(`Unknown MAIL_TRANSPORT ${kind} (console, file, smtp, or plug one in with setTransport)`, "BAD_TRANSPORT");
+}
+
+// the transport in use, built from the environment on first call; throws MailError when the
+// configuration isn't usable
+export function mailTransport() {
+  transport ||= defaultTransport();
+  return transport;
+}
+
+// null goes back to the environment's default on the next send
+export function setTransport(t) {
+  if (t && typeof t.send !== "function") throw new MailError("A transport needs a send() method", "BAD_TRANSPORT");
+  transport = t;
+}
+
+export async function sendMail({ to, subject, text }) {
+  if (!to) throw new MailError("Recipient required", "NO_RECIPIENT");
+  // header injection: nothing user-controlled may carry a line break into the headers
+  if (/[\r\n]/.test(to) || /[\r\n]/.test(subject)) throw new MailError("Invalid header value", "BAD_HEADER");
+  await mailTransport().send({ to, subject, text });
+}
+
+// absolute link for emails; APP_URL is the public origin of the site
+export const appLink = (pathname) => new URL(pathname, process.env.APP_URL || `http://localhost:${process.env.PORT || 3000}`).href;
@@ -0,0 +1,328 @@
+// memberships.js
+// Membership lifecycle on top of the plan catalog in tiers.js. The rules:
+//   - A user has at most one ACTIVE membership. Buying one costs the plan's price; its term -
+//     durationDays of daily payouts, then the bonus (payouts.js) - starts when an admin
+//     approves the payment, on the plan version the payment was priced at.
+//   - Upgrade: while a membership is ACTIVE only a higher-ranked plan can be bought, and it
+//     costs the difference between the new plan's price and what the current one cost.
+//     Approving it ends the current membership as UPGRADED and starts the new plan's full term.
+//     Days that are already due are paid out first; the rest of the old term and its bonus
+//     lapse. If the old membership has ended by the time the payment is approved, the payment
+//     is booked as a normal deposit instead.
+//   - Cancelling ends the ACTIVE membership as CANCELLED: days already due are paid out,
+//     nothing after that, the bonus lapses and the price is not refunded.
+// Only plans on sale (enabled, inside their sale window) can be bought; a payment opened while
+// a plan was on sale is still honoured when it is approved later.
+
+import { Deposit, Membership, Transaction, User } from "./db.js";
+import { atomically, LedgerError } from "./ledger.js";
+import { runPayouts, PAYOUT_COIN } from "./payouts.js";
+import * as tiers from "./tiers.js";
+import * as money from "./money.js";
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+export class MembershipError extends Error {
+  constructor(message, code) {
+    super(message);
+    this.name = "MembershipError";
+    this.code = code;
+  }
+}
+
+export const activeMembership = (userId) => Membership.findOne({ userId, status: "ACTIVE" }).sort({ startDate: -1 }).lean();
+
+// the price a membership was bought at; older ones predate the field and use its plan's price
+const listPrice = (m, plan) => (m.price != null ? money.toString(m.price) : plan?.price ?? "0");
+
+// plans that left the catalog rank below everything
+const rankOf = (plan) => plan?.rank ?? -Infinity;
+
+// pays whatever is due to `m` now, before it ends
+async function settleDue(m) {
+  const r = await runPayouts({ membershipId: m._id });
+  if (r.errors.length) throw new MembershipError(`Could not pay out what is due: ${r.errors[0].error}`, "PAYOUT_FAILED");
+}
+
+// ---------------- Buying ----------------
+// the price of plan `t` next to `active` (whose plan is `activePlan`); throws MembershipError
+function priceAgainst(active, activePlan, t) {
+  if (!active) return { tier: t, price: t.price, upgradeFrom: null };
+
+  if (active.tier === t.id) throw new MembershipError(`Your ${t.id} membership is already active`, "ALREADY_ACTIVE");
+  const price = money.sub(t.price, listPrice(active, activePlan));
+  if (t.rank <= rankOf(activePlan) || !money.isPositive(price)) {
+    throw new MembershipError("While a membership is active you can only upgrade to a higher tier", "NOT_AN_UPGRADE");
+  }
+  return { tier: t, price, upgradeFrom: active._id };
+}
+
+/**
+ * What buying plan `tierId` costs next to the user's `active` membership (or null):
+ * { tier, price, upgradeFrom }. Throws MembershipError when it isn't allowed.
+ */
+export async function quote(active, tierId, { now = new Date() } = {}) {
+  const t = await tiers.tier(tierId);
+  if (!t || !tiers.onSale(t, now)) throw new MembershipError("This membership tier is not on sale", "NOT_ON_SALE");
+  return priceAgainst(active, active && (await tiers.tier(active.tier)), t);
+}
+
+// the plans the user can buy right now and what each would cost
+export async function offers(active, { now = new Date() } = {}) {
+  const activePlan = active && (await tiers.tier(active.tier));
+  return (await tiers.listTiers({ now })).flatMap((t) => {
+    try {
+      const q = priceAgainst(active, activePlan, t);
+      return [{ tier: t.id, version: t.version, price: q.price, upgrade: Boolean(q.upgradeFrom) }];
+    } catch (err) {
+      if (!(err instanceof MembershipError)) throw err;
+      return [];
+    }
+  });
+}
+
+// ---------------- Approval ----------------
+/**
+ * What approving the membership payment `tx` does: { tier, replaces } where `tier` carries the
+ * terms of the plan version the payment was priced at and `replaces` is the membership it
+ * ends (or null); null when it can't activate anything and should be booked as a normal
+ * deposit. Pays out what the current membership is due first.
+ */
+export async function paymentPlan(tx) {
+  const t = await tiers.tierVersion(tx.meta?.membershipTier, tx.meta?.planVersion ?? null);
+  if (!t) return null;
+
+  let active = await activeMembership(tx.userId);
+  if (active) {
+    await settleDue(active);
+    active = await activeMembership(tx.userId);
+  }
+
+  // an upgrade was priced against one membership and only applies while that one runs
+  if (tx.meta.upgradeFrom) return active && String(active._id) === String(tx.meta.upgradeFrom) ? { tier: t, replaces: active } : null;
+  // a full-price payment still replaces a lower plan that started in the meantime
+  if (active && t.rank <= rankOf(await tiers.tier(active.tier))) return null;
+  return { tier: t, replaces: active };
+}
+
+/**
+ * Starts the membership for an approved payment (see paymentPlan), ending the one it replaces.
+ * Writes with `session` when given; without one each write pushes its reversal onto `undo`, for
+ * the caller to run if a later step fails.
+ */
+async function activate(tx, { tier: t, replaces }, { session = null, undo = [] } = {}) {
+  const now = new Date();
+  if (replaces) {
+    const r = await Membership.updateOne({ _id: replaces._id, status: "ACTIVE" }, { $set: { status: "UPGRADED", endedAt: now } }, { session });
+    if (r.matchedCount === 1) {
+      undo.push(() => Membership.updateOne({ _id: replaces._id, status: "UPGRADED" }, { $set: { status: "ACTIVE", endedAt: null } }));
+    }
+  }
+
+  const [membership] = await Membership.create(
+    [{
+      userId: tx.userId,
+      tier: t.id,
+      planVersion: t.version,
+      price: t.price,
+      txId: tx._id,
+      upgradedFrom: replaces?._id || null,
+      startDate: now,
+      status: "ACTIVE",
+      durationDays: t.durationDays,
+      daysPaid: 0,
+      dailyAmount: t.dailyAmount,
+      bonusAtMonthEnd: t.bonus,
+      bonusPaid: false,
+    }],
+    { session }
+  );
+  undo.push(() => Membership.deleteOne({ _id: membership._id }));
+
+  const before = await User.findOneAndUpdate(
+    { _id: tx.userId },
+    { $set: { membership: t.id, membershipActivatedAt: now } },
+    { session, new: false, projection: { membership: 1, membershipActivatedAt: 1 } }
+  ).lean();
+  if (before) {
+    undo.push(() =>
+      User.updateOne({ _id: tx.userId }, { $set: { membership: before.membership ?? "NONE", membershipActivatedAt: before.membershipActivatedAt ?? null } })
+    );
+  }
+  return membership;
+}
+
+/**
+ * Approves the membership payment `tx` as `plan` (from paymentPlan): confirms the transaction
+ * and its Deposit and starts the membership, resolving to it. The writes go together - in one
+ * Mongo transaction, or undone step by step where the deployment has none. Throws LedgerError
+ * ALREADY_PROCESSED when `tx` is no longer PENDING.
+ */
+export async function approvePayment(tx, plan, { approvedBy }) {
+  const received = tx.meta?.depositId ? await Deposit.findById(tx.meta.depositId).select("status amount_received").lean() : null;
+  return atomically(async (session) => {
+    const undo = [];
+    try {
+      const r = await Transaction.updateOne(
+        { _id: tx._id, status: "PENDING" },
+        { $set: { status: "CONFIRMED", "meta.approvedBy": approvedBy } },
+        { session }
+      );
+      if (r.matchedCount !== 1) throw new LedgerError("Transaction already processed", "ALREADY_PROCESSED");
+      undo.push(() => Transaction.updateOne({ _id: tx._id, status: "CONFIRMED" }, { $set: { status: "PENDING" }, $unset: { "meta.approvedBy": "" } }));
+
+      if (received) {
+        await Deposit.updateOne({ _id: received._id }, { $set: { status: "CONFIRMED", amount_received: tx.amount } }, { session });
+        undo.push(() => Deposit.updateOne({ _id: received._id }, { $set: { status: received.status, amount_received: received.amount_received ?? "0" } }));
+      }
+      return await activate(tx, plan, { session, undo });
+    } catch (err) {
+      if (!session) {
+        for (const step of undo.reverse()) await step().catch((e) => console.error("Membership approval compensation failed:", e));
+      }
+      throw err;
+    }
+  });
+}
+
+// ---------------- Cancelling ----------------
+// ends the user's ACTIVE membership; resolves to it, or null when there was none
+export async function cancel(userId) {
+  const active = await activeMembership(userId);
+  if (!active) return null;
+  await settleDue(active);
+
+  const cancelled = await Membership.findOneAndUpdate(
+    { _id: active._id, status: "ACTIVE" },
+    { $set: { status: "CANCELLED", endedAt: new Date() } },
+    { new: true }
+  ).lean();
+  // settling may have finished the term
+  if (!cancelled) return null;
+  await User.updateOne({ _id: userId }, { $set: { membership: "NONE" } });
+  return cancelled;
+}
+
+// ---------------- Views ----------------
+// a membership as /api/membership shows it; amounts in USD
+export function view(m) {
+  const active = m.status === "ACTIVE";
+  const start = new Date(m.startDate).getTime();
+  const endsAt = new Date(start + m.durationDays * DAY_MS);
+  const daily = money.toString(m.dailyAmount);
+  const bonus = money.toString(m.bonusAtMonthEnd);
+  const projectedBonus = active && !m.bonusPaid ? bonus : "0";
+
+  return {
+    id: m._id,
+    tier: m.tier,
+    planVersion: m.planVersion ?? null,
+    status: m.status,
+    price: m.price != null ? money.toString(m.price) : null,
+    startDate: m.startDate,
+    endsAt,
+    endedAt: m.endedAt || null,
+    durationDays: m.durationDays,
+    daysPaid: m.daysPaid,
+    dailyAmount: daily,
+    bonusAtMonthEnd: bonus,
+    bonusPaid: m.bonusPaid,
+    paidOut: money.add(money.times(daily, m.daysPaid, 2), m.bonusPaid ? bonus : "0"),
+    // the bonus is due with the last day
+    nextPayoutAt: active ? (m.daysPaid < m.durationDays ? new Date(start + (m.daysPaid + 1) * DAY_MS) : endsAt) : null,
+    projectedBonus,
+    projectedRemaining: active ? money.add(money.times(daily, m.durationDays - m.daysPaid, 2), projectedBonus) : "0",
+    upgradedFrom: m.upgradedFrom || null,
+  };
+}
+
+// ---------------- Liability ----------------
+const emptyLiability = () => ({
+  activeMemberships: 0,
+  remainingDays: 0,
+  owedDaily: "0",
+  owedBonus: "0",
+  owed: "0",
+  dueInWindow: "0",
+  pendingPayments: 0,
+  pendingReturn: "0",
+});
+
+// just the amounts and counts of a row
+const liabilityOf = (r) => Object.fromEntries(Object.keys(emptyLiability()).map((k) => [k, r[k]]));
+
+function addLiability(into, from) {
+  for (const [k, value] of Object.entries(from)) into[k] = typeof value === "number" ? into[k] + value : money.add(into[k], value);
+  return into;
+}
+
+/**
+ * What the plans will still cost, for finance: per plan and per version, what the ACTIVE
+ * memberships have left to pay (remaining days and unpaid bonuses), the part of it falling due
+ * in the next `days` days, and what the open membership payments would add once approved.
+ * Amounts in PAYOUT_COIN.
+ */
+export async function liability({ now = new Date(), days = 30 } = {}) {
+  const horizon = now.getTime() + days * DAY_MS;
+  const rows = new Map();
+  const row = (tier, version) => {
+    const key = `${tier}|${version}`;
+    if (!rows.has(key)) rows.set(key, { tier, version, ...emptyLiability() });
+    return rows.get(key);
+  };
+
+  const active = Membership.find({ status: "ACTIVE" })
+    .select("tier planVersion startDate durationDays daysPaid dailyAmount bonusAtMonthEnd bonusPaid")
+    .lean()
+    .cursor();
+  for await (const m of active) {
+    const start = new Date(m.startDate).getTime();
+    const daily = money.toString(m.dailyAmount);
+    const bonus = m.bonusPaid ? "0" : money.toString(m.bonusAtMonthEnd);
+    const remainingDays = Math.max(0, m.durationDays - m.daysPaid);
+    // days whose payout time (start + n days) comes before the horizon, overdue ones included
+    const dueDays = Math.max(0, Math.min(m.durationDays, Math.floor((horizon - start) / DAY_MS)) - m.daysPaid);
+    const endsInWindow = start + m.durationDays * DAY_MS <= horizon;
+    const owedDaily = money.times(daily, remainingDays, 2);
+
+    addLiability(row(m.tier, m.planVersion ?? null), {
+      activeMemberships: 1,
+      remainingDays,
+      owedDaily,
+      owedBonus: bonus,
+      owed: money.add(owedDaily, bonus),
+      dueInWindow: money.add(money.times(daily, dueDays, 2), endsInWindow ? bonus : "0"),
+    });
+  }
+
+  const pending = await Transaction.find({ type: "DEPOSIT", status: "PENDING", "meta.isMembership": true }).select("meta").lean();
+  for (const tx of pending) {
+    const t = await tiers.tierVersion(tx.meta.membershipTier, tx.meta.planVersion ?? null);
+    if (!t) continue;
+    addLiability(row(t.id, t.version), { pendingPayments: 1, pendingReturn: tiers.totalReturn(t) });
+  }
+
+  // every plan in the catalog, plus any that only old memberships still run on
+  const catalog = await tiers.listTiers({ all: true });
+  const ids = [...new Set([...catalog.map((t) => t.id), ...[...rows.values()].map((r) => r.tier)])];
+  const plans = ids.map((id) => {
+    const plan = catalog.find((t) => t.id === id);
+    const versions = [...rows.values()].filter((r) => r.tier === id).sort((a, b) => (b.version ?? 0) - (a.version ?? 0));
+    return {
+      tier: id,
+      name: plan?.name ?? null,
+      currentVersion: plan?.version ?? null,
+      onSale: plan ? tiers.onSale(plan, now) : false,
+      ...versions.reduce((sum, r) => addLiability(sum, liabilityOf(r)), emptyLiability()),
+      versions,
+    };
+  });
+
+  return {
+    coin: PAYOUT_COIN,
+    asOf: now,
+    days,
+    plans,
+    totals: plans.reduce((sum, p) => addLiability(sum, liabilityOf(p)), emptyLiability()),
+  };
+}
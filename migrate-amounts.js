@@ -0,0 +1,82 @@
+// migrate-amounts.js
+// Converts coin amounts stored as floating-point numbers to Decimal128 (see money.js).
+//   node migrate-amounts.js [--dry-run]
+// Each value is rounded to its coin's decimals from assets.json; membership amounts are paid
+// out in USD and use its decimals. Values that aren't numbers at all are listed for manual
+// review and left untouched. Rounding can move a balance off its ledger by float dust, so check
+// GET /api/admin/ledger/:userId for anyone with large balances afterwards.
+
+import mongoose from "mongoose";
+import dotenv from "dotenv";
+import { connectDB, User, Transaction, Deposit, Membership, LedgerEntry } from "./db.js";
+import { asset, WALLET_COINS } from "./assets.js";
+import * as money from "./money.js";
+
+dotenv.config();
+
+// model, the amount fields it has, and which coin a document's amounts are in
+const TARGETS = [
+  {
+    model: User,
+    fields: WALLET_COINS.flatMap((coin) => [`balances.${coin}`, `lockedBalances.${coin}`]),
+    coinOf: (doc, field) => field.split(".")[1],
+  },
+  { model: Transaction, fields: ["amount"], coinOf: (doc) => doc.coin },
+  { model: Deposit, fields: ["amount_expected", "amount_received"], coinOf: (doc) => doc.coin },
+  { model: LedgerEntry, fields: ["debit", "credit"], coinOf: (doc) => doc.coin },
+  { model: Membership, fields: ["dailyAmount", "bonusAtMonthEnd"], coinOf: () => "USD" },
+];
+
+// coins that left the registry keep everything Decimal128 can hold
+const decimalsOf = (coin) => asset(coin)?.decimals ?? 18;
+
+const valueAt = (doc, field) => field.split(".").reduce((v, key) => v?.[key], doc);
+
+async function migrateModel({ model, fields, coinOf }, { dryRun }, summary) {
+  const counts = { scanned: 0, updated: 0 };
+  summary.collections[model.collection.collectionName] = counts;
+
+  // only documents still holding a plain number (or a string) in one of the fields
+  const filter = { $or: fields.map((f) => ({ [f]: { $type: ["double", "int", "long", "string"] } })) };
+  const projection = Object.fromEntries([...fields, "coin"].map((f) => [f, 1]));
+  const cursor = model.collection.find(filter, { projection });
+
+  for await (const doc of cursor) {
+    counts.scanned++;
+    const $set = {};
+    for (const field of fields) {
+      const value = valueAt(doc, field);
+      if (typeof value !== "number" && typeof value !== "string") continue;
+      try {
+        $set[field] = money.toDecimal128(money.round(value, decimalsOf(coinOf(doc, field))));
+      } catch (err) {
+        if (!(err instanceof money.MoneyError)) throw err;
+        summary.unknown.push({ collection: model.collection.collectionName, _id: doc._id, field, value });
+      }
+    }
+    if (!Object.keys($set).length) continue;
+
+    counts.updated++;
+    if (!dryRun) await model.collection.updateOne({ _id: doc._id }, { $set });
+  }
+}
+
+async function migrate({ dryRun }) {
+  const summary = { collections: {}, unknown: [] };
+  for (const target of TARGETS) await migrateModel(target, { dryRun }, summary);
+  return summary;
+}
+
+try {
+  if (!process.env.MONGO_URI) throw new Error("MONGO_URI not set");
+  await connectDB();
+  const dryRun = process.argv.includes("--dry-run");
+  const r = await migrate({ dryRun });
+  console.log(JSON.stringify({ dryRun, ...r }, null, 2));
+  if (r.unknown.length) process.exitCode = 1;
+} catch (err) {
+  console.error(err);
+  process.exitCode = 1;
+} finally {
+  await mongoose.disconnect();
+}
@@ -0,0 +1,45 @@
+// migrate-opening-balances.js
+// Journals the balances users held before the ledger existed (ledger.openBalances), so the
+// ledger view matches the stored wallets and POST /api/admin/ledger/:userId/rebuild can be used.
+//   node migrate-opening-balances.js [--dry-run]
+// Run it once, after migrate-amounts.js and with the app stopped: a wallet that moves while it
+// is read would be journaled at the wrong amount. Accounts already opened are skipped, so it is
+// safe to run again. Wallets holding less than their ledger view are listed for manual review.
+
+import mongoose from "mongoose";
+import dotenv from "dotenv";
+import { connectDB, User } from "./db.js";
+import * as ledger from "./ledger.js";
+
+dotenv.config();
+
+async function migrate({ dryRun }) {
+  const summary = { scanned: 0, opened: 0, journaled: [], shortfall: [] };
+  // only accounts that predate the field; new ones get it at sign-up
+  const cursor = User.collection.find({ ledgerOpenedAt: { $exists: false } }, { projection: { _id: 1 } });
+
+  for await (const doc of cursor) {
+    summary.scanned++;
+    const r = await ledger.openBalances(doc._id, { dryRun });
+    if (!r.opened) continue;
+    summary.opened++;
+    if (Object.keys(r.journaled).length) summary.journaled.push({ userId: doc._id, ...r.journaled });
+    if (Object.keys(r.shortfall).length) summary.shortfall.push({ userId: doc._id, ...r.shortfall });
+  }
+
+  return summary;
+}
+
+try {
+  if (!process.env.MONGO_URI) throw new Error("MONGO_URI not set");
+  await connectDB();
+  const dryRun = process.argv.includes("--dry-run");
+  const r = await migrate({ dryRun });
+  console.log(JSON.stringify({ dryRun, ...r }, null, 2));
+  if (r.shortfall.length) process.exitCode = 1;
+} catch (err) {
+  console.error(err);
+  process.exitCode = 1;
+} finally {
+  await mongoose.disconnect();
+}
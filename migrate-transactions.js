@@ -0,0 +1,78 @@
+// migrate-transactions.js
+// Brings existing Transaction documents in line with TX_TYPES / TX_STATUSES from db.js.
+//   node migrate-transactions.js [--dry-run]
+// Case and known aliases are normalized; anything still unknown is listed for manual review
+// and left untouched.
+
+import mongoose from "mongoose";
+import dotenv from "dotenv";
+import { connectDB, Transaction, TX_TYPES, TX_STATUSES } from "./db.js";
+
+dotenv.config();
+
+const TYPE_ALIASES = {
+  WITHDRAWAL: "WITHDRAW",
+  INTERNAL_TRANSFER: "TRANSFER",
+  TRANSFER_IN: "TRANSFER",
+  TRANSFER_OUT: "TRANSFER",
+};
+
+const STATUS_ALIASES = {
+  SUCCESS: "CONFIRMED",
+  COMPLETED: "CONFIRMED",
+  APPROVED: "CONFIRMED",
+  DONE: "CONFIRMED",
+  REJECTED: "DECLINED",
+  FAILED: "DECLINED",
+  CANCELED: "CANCELLED",
+};
+
+function normalizeType(doc) {
+  const raw = String(doc.type || "").trim().toUpperCase().replace(/[\s-]+/g, "_");
+  const type = TYPE_ALIASES[raw] || raw;
+  // end-of-term membership bonuses used to be logged as regular payouts
+  if (type === "MEMBERSHIP_PAYOUT" && doc.meta?.bonus) return "BONUS";
+  return type;
+}
+
+function normalizeStatus(doc) {
+  if (doc.status == null || doc.status === "") return "PENDING";
+  const raw = String(doc.status).trim().toUpperCase();
+  return STATUS_ALIASES[raw] || raw;
+}
+
+async function migrate({ dryRun }) {
+  const summary = { scanned: 0, updated: 0, unknown: [] };
+  const cursor = Transaction.collection.find({}, { projection: { type: 1, status: 1, meta: 1 } });
+
+  for await (const doc of cursor) {
+    summary.scanned++;
+    const type = normalizeType(doc);
+    const status = normalizeStatus(doc);
+
+    if (!TX_TYPES.includes(type) || !TX_STATUSES.includes(status)) {
+      summary.unknown.push({ _id: doc._id, type: doc.type, status: doc.status });
+      continue;
+    }
+    if (type === doc.type && status === doc.status) continue;
+
+    summary.updated++;
+    if (!dryRun) await Transaction.collection.updateOne({ _id: doc._id }, { $set: { type, status } });
+  }
+
+  return summary;
+}
+
+try {
+  if (!process.env.MONGO_URI) throw new Error("MONGO_URI not set");
+  await connectDB();
+  const dryRun = process.argv.includes("--dry-run");
+  const r = await migrate({ dryRun });
+  console.log(JSON.stringify({ dryRun, ...r }, null, 2));
+  if (r.unknown.length) process.exitCode = 1;
+} catch (err) {
+  console.error(err);
+  process.exitCode = 1;
+} finally {
+  await mongoose.disconnect();
+}
@@ -0,0 +1,152 @@
+// money.js
+// Exact coin amounts. Amounts travel as decimal strings ("0.00012345"), are stored as
+// Decimal128 and all arithmetic runs on BigInt units of 10^-18 - the finest precision the
+// asset registry allows - so nothing is ever rounded by a float. Each coin's own precision
+// (decimals in assets.json) is enforced where amounts come in, through parseAmount().
+
+import mongoose from "mongoose";
+import { asset } from "./assets.js";
+
+const { Decimal128 } = mongoose.Types;
+
+const SCALE = 18;
+const ONE = 10n ** BigInt(SCALE);
+
+export class MoneyError extends Error {
+  constructor(message, code) {
+    super(message);
+    this.name = "MoneyError";
+    this.code = code;
+  }
+}
+
+// Decimal128 values go out in API responses (and audit snapshots) as plain decimal strings
+// instead of { "$numberDecimal": ... }
+Decimal128.prototype.toJSON = function toJSON() {
+  return toString(this);
+};
+
+// ---------------- Units ----------------
+const DECIMAL = /^([+-]?)(\d*)(?:\.(\d*))?(?:[eE]([+-]?\d+))?$/;
+
+// digits and decimal exponent of a string, number, Decimal128 or bigint; throws MoneyError
+function parts(value) {
+  if (value instanceof Decimal128 || value?._bsontype === "Decimal128") value = value.toString();
+  else if (typeof value === "number") {
+    if (!Number.isFinite(value)) throw new MoneyError("Invalid amount", "NOT_A_NUMBER");
+    value = String(value); // shortest form that round-trips, e.g. 0.1 -> "0.1"
+  } else if (typeof value === "bigint") value = value.toString();
+  else if (typeof value !== "string") throw new MoneyError("Invalid amount", "NOT_A_NUMBER");
+
+  const m = DECIMAL.exec(value.trim());
+  if (!m || (!m[2] && !m[3])) throw new MoneyError("Invalid amount", "NOT_A_NUMBER");
+  const frac = m[3] || "";
+  // keeps BigInt work bounded whatever a client sends ("1e999999999")
+  if ((m[2] || "").length + frac.length > 60 || Math.abs(Number(m[4] || 0)) > 60) throw new MoneyError("Amount out of range", "OUT_OF_RANGE");
+  return { negative: m[1] === "-", digits: (m[2] || "0") + frac, exp: Number(m[4] || 0) - frac.length };
+}
+
+// BigInt units of 10^-18; digits past the 18th decimal must be zero unless `round` is set
+// (half away from zero)
+export function units(value, { round = false } = {}) {
+  const { negative, digits, exp } = parts(value);
+  let n = BigInt(digits);
+  const shift = exp + SCALE;
+  if (shift >= 0) n *= 10n ** BigInt(shift);
+  else {
+    const div = 10n ** BigInt(-shift);
+    const rest = n % div;
+    if (rest !== 0n && !round) throw new MoneyError("Too many decimal places", "TOO_PRECISE");
+    n = n / div + (rest * 2n >= div ? 1n : 0n);
+  }
+  return negative ? -n : n;
+}
+
+// canonical decimal string: no exponent, no trailing zeros, "0" for zero
+export function fromUnits(u) {
+  const negative = u < 0n;
+  const abs = negative ? -u : u;
+  const int = abs / ONE;
+  const frac = (abs % ONE).toString().padStart(SCALE, "0").replace(/0+$/, "");
+  return (negative && abs !== 0n ? "-" : "") + int.toString() + (frac ? "." + frac : "");
+}
+
+// ---------------- Arithmetic ----------------
+export const normalize = (value) => fromUnits(units(value));
+export const add = (...values) => fromUnits(values.reduce((sum, v) => sum + units(v), 0n));
+export const sub = (a, b) => fromUnits(units(a) - units(b));
+export const neg = (a) => fromUnits(-units(a));
+export const cmp = (a, b) => {
+  const d = units(a) - units(b);
+  return d > 0n ? 1 : d < 0n ? -1 : 0;
+};
+export const isZero = (a) => units(a) === 0n;
+export const isPositive = (a) => units(a) > 0n;
+
+// n (carrying `scale` decimals) rounded half away from zero to `decimals`, back in units
+function roundScaled(n, scale, decimals) {
+  const step = 10n ** BigInt(scale - decimals);
+  const rest = n % step;
+  const away = (rest < 0n ? -rest : rest) * 2n >= step ? (n < 0n ? -1n : 1n) : 0n;
+  return (n / step + away) * 10n ** BigInt(SCALE - decimals);
+}
+
+// `value` rounded (half away from zero) to `decimals` places
+export function round(value, decimals) {
+  const { negative, digits, exp } = parts(value);
+  // keep every digit the value has, then round once
+  const scale = Math.max(SCALE, -exp);
+  const n = BigInt(digits) * 10n ** BigInt(exp + scale);
+  return fromUnits(roundScaled(negative ? -n : n, scale, decimals));
+}
+
+// value * factor, exact, then rounded to `decimals` places (e.g. a coin amount times a USD price)
+export function times(value, factor, decimals) {
+  return fromUnits(roundScaled(units(value) * units(factor, { round: true }), 2 * SCALE, decimals));
+}
+
+// value / divisor, rounded (half away from zero) to `decimals` places (e.g. a USD price in a coin)
+export function div(value, divisor, decimals) {
+  const d = units(divisor, { round: true });
+  if (d === 0n) throw new MoneyError("Division by zero", "DIVIDE_BY_ZERO");
+  // 18 more decimals than `decimals` can ever ask for, so the one rounding below decides
+  return fromUnits(roundScaled((units(value) * 10n ** BigInt(2 * SCALE)) / d, 2 * SCALE, decimals));
+}
+
+// ---------------- Coins ----------------
+const decimalsOf = (coin) => {
+  const a = asset(coin);
+  if (!a) throw new MoneyError(`Unsupported coin ${coin}`, "UNKNOWN_COIN");
+  return a.decimals;
+};
+
+/**
+ * A request amount for `coin`: a positive decimal (string or number) with no more decimals
+ * than the coin has. Resolves to the canonical string; throws MoneyError otherwise.
+ */
+export function parseAmount(coin, value) {
+  const decimals = decimalsOf(coin);
+  let u;
+  try {
+    u = units(value);
+  } catch (err) {
+    if (err.code === "TOO_PRECISE") throw new MoneyError(`${coin} amounts have at most ${decimals} decimals`, "TOO_PRECISE");
+    throw err;
+  }
+  if (u % 10n ** BigInt(SCALE - decimals) !== 0n) throw new MoneyError(`${coin} amounts have at most ${decimals} decimals`, "TOO_PRECISE");
+  if (u <= 0n) throw new MoneyError("Amount must be positive", "NOT_POSITIVE");
+  return fromUnits(u);
+}
+
+// an existing (possibly float-damaged) value brought to the coin's precision
+export const forCoin = (coin, value) => round(value, decimalsOf(coin));
+
+// ---------------- Storage ----------------
+export const toDecimal128 = (value) => Decimal128.fromString(normalize(value));
+
+// the canonical string of a stored amount; missing values count as zero, and anything finer
+// than 10^-18 (a Decimal128 $sum over old float data) is rounded off
+export const toString = (value) => (value == null ? "0" : round(value, SCALE));
+
+// approximate Number for things that are floats anyway (USD valuations, limits, charts)
+export const toNumber = (value) => (value == null ? 0 : Number(toString(value)));
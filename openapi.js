@@ -0,0 +1,106 @@
+// openapi.js
+// The OpenAPI document for /api/openapi.json, built from the app itself rather than kept by
+// hand: paths and methods come from the Express router, parameters and request bodies from
+// each route's validate() spec (validate.js), and security from the auth middleware the route
+// runs - middleware marks itself with `apiSecurity`, a list of alternative requirements.
+// Other middleware can add `apiParameters` (e.g. a header) and `apiResponses`.
+
+import http from "http";
+
+const VALIDATION_ERROR = {
+  type: "object",
+  properties: {
+    error: { type: "string", description: "The first problem, ready to show" },
+    code: { type: "string", const: "VALIDATION_FAILED" },
+    fields: { type: "object", additionalProperties: { type: "string" }, description: "Problem per field name" },
+  },
+  required: ["error", "code", "fields"],
+};
+
+const SECURITY_SCHEMES = {
+  userSession: { type: "apiKey", in: "cookie", name: "connect.sid", description: "Signed-in user (POST /api/login)" },
+  adminSession: {
+    type: "apiKey",
+    in: "cookie",
+    name: "connect.sid",
+    description: "Signed-in admin (POST /api/admin/login); the listed value is the permission the route needs",
+  },
+  cronSecret: { type: "http", scheme: "bearer", description: "CRON_SECRET, for external schedulers" },
+};
+
+const fieldSchema = (f) => ({ ...f.json, ...(f.fallback !== undefined ? { default: f.fallback } : {}) });
+
+function objectSchema(shape) {
+  const entries = Object.entries(shape);
+  return {
+    type: "object",
+    properties: Object.fromEntries(entries.map(([name, f]) => [name, fieldSchema(f)])),
+    required: entries.filter(([, f]) => f.required).map(([name]) => name),
+    additionalProperties: false,
+  };
+}
+
+// "/api/admin/support/:id" -> "admin", "/api/payment-methods" -> "payment-methods"
+const tagOf = (path) => path.split("/")[2] || "api";
+
+function operation(path, spec, { security, extraParameters, extraResponses }) {
+  const parameters = [...path.matchAll(/:(\w+)/g)].map(([, name]) => ({
+    name,
+    in: "path",
+    required: true,
+    schema: spec.params?.[name] ? fieldSchema(spec.params[name]) : { type: "string" },
+  }));
+  for (const [name, f] of Object.entries(spec.query || {})) {
+    // lists (v.list) are sent comma-separated: ?type=DEPOSIT,WITHDRAW
+    const style = f.json.type === "array" ? { style: "form", explode: false } : {};
+    parameters.push({ name, in: "query", required: f.required, ...style, schema: fieldSchema(f) });
+  }
+  parameters.push(...extraParameters);
+
+  const op = { tags: [tagOf(path)], ...(spec.summary ? { summary: spec.summary } : {}), parameters };
+  if (spec.files) {
+    const shape = objectSchema(spec.body || {});
+    for (const name of spec.files) shape.properties[name] = { type: "string", format: "binary" };
+    shape.required.push(...spec.files);
+    op.requestBody = { required: true, content: { "multipart/form-data": { schema: shape } } };
+  } else if (spec.body) {
+    op.requestBody = { required: true, content: { "application/json": { schema: objectSchema(spec.body) } } };
+  }
+
+  op.responses = { 200: { description: "OK" }, ...extraResponses };
+  if (spec.params || spec.query || spec.body || extraParameters.length) {
+    op.responses[400] = { description: "Invalid request", content: { "application/json": { schema: { $ref: "#/components/schemas/ValidationError" } } } };
+  }
+  if (security.length) {
+    op.security = security;
+    op.responses[401] = { description: "Not signed in" };
+  }
+  return op;
+}
+
+export function openApiDocument(app, { title, version }) {
+  const paths = {};
+  for (const layer of app._router?.stack || []) {
+    const { route } = layer;
+    if (!route || typeof route.path !== "string" || !route.path.startsWith("/api/")) continue;
+
+    // app.all() adds the same handlers once per HTTP method; such routes are meant for GET and POST
+    const all = http.METHODS.every((m) => route.methods[m.toLowerCase()]);
+    const methods = all ? ["get", "post"] : Object.keys(route.methods);
+    const handlers = [...new Set(route.stack.map((l) => l.handle))];
+    const spec = handlers.find((h) => h.apiSpec)?.apiSpec || {};
+    const security = handlers.flatMap((h) => h.apiSecurity || []);
+    const extraParameters = handlers.flatMap((h) => h.apiParameters || []);
+    const extraResponses = Object.assign({}, ...handlers.map((h) => h.apiResponses));
+
+    const key = route.path.replace(/:(\w+)/g, "{$1}");
+    for (const method of methods) (paths[key] ||= {})[method] = operation(route.path, spec, { security, extraParameters, extraResponses });
+  }
+
+  return {
+    openapi: "3.1.0",
+    info: { title, version },
+    paths,
+    components: { schemas: { ValidationError: VALIDATION_ERROR }, securitySchemes: SECURITY_SCHEMES },
+  };
+}
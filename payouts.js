@@ -0,0 +1,191 @@
+// payouts.js
+// Daily membership payouts. Each ACTIVE membership earns dailyAmount (USD) for every full day
+// since startDate, up to durationDays, plus bonusAtMonthEnd once the term is done.
+// Runs in-process from server.js, from /api/cron/payouts, or standalone:
+//   node payouts.js [--dry-run]
+// Every credited day is claimed with a conditional update on daysPaid inside the same ledger
+// journal, so after downtime the missed days are caught up and a second run pays nothing twice.
+
+import mongoose from "mongoose";
+import dotenv from "dotenv";
+import { pathToFileURL } from "url";
+import { connectDB, Membership, Transaction } from "./db.js";
+import * as ledger from "./ledger.js";
+import * as money from "./money.js";
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+// memberships are priced and paid in the platform's USD unit
+export const PAYOUT_COIN = "USD";
+
+// what a membership is owed at `now`, without touching anything
+function duePayouts(m, now) {
+  const elapsedDays = Math.floor((now - new Date(m.startDate)) / DAY_MS);
+  const dueDays = Math.min(m.durationDays, Math.max(0, elapsedDays));
+  const out = [];
+
+  for (let day = m.daysPaid + 1; day <= dueDays; day++) {
+    out.push({ kind: "DAILY", day, amount: m.dailyAmount, dueAt: new Date(new Date(m.startDate).getTime() + day * DAY_MS) });
+  }
+  if (dueDays >= m.durationDays && !m.bonusPaid) {
+    out.push({ kind: "BONUS", day: m.durationDays, amount: m.bonusAtMonthEnd || 0 });
+  }
+  return out;
+}
+
+async function payDaily(m, p) {
+  await ledger.move(
+    {
+      kind: "MEMBERSHIP_PAYOUT",
+      from: ledger.SYSTEM.PAYOUTS,
+      to: ledger.userAccount(m.userId),
+      coin: PAYOUT_COIN,
+      amount: p.amount,
+      meta: { membershipId: m._id, tier: m.tier, day: p.day },
+    },
+    async (session) => {
+      const r = await Membership.updateOne(
+        { _id: m._id, status: "ACTIVE", daysPaid: p.day - 1 },
+        { $set: { daysPaid: p.day, lastPayout: p.dueAt } },
+        { session }
+      );
+      if (r.matchedCount !== 1) throw new ledger.LedgerError("Payout day already claimed", "ALREADY_PROCESSED");
+
+      await Transaction.create(
+        [{
+          userId: m.userId,
+          type: "MEMBERSHIP_PAYOUT",
+          coin: PAYOUT_COIN,
+          amount: p.amount,
+          status: "CONFIRMED",
+          meta: { membershipId: m._id, tier: m.tier, day: p.day },
+        }],
+        { session }
+      );
+    }
+  );
+}
+
+// pays the end-of-term bonus (if any) and closes the membership
+async function payBonus(m, p) {
+  const complete = async (session) => {
+    const r = await Membership.updateOne(
+      { _id: m._id, status: "ACTIVE", daysPaid: m.durationDays, bonusPaid: false },
+      { $set: { bonusPaid: true, status: "COMPLETED" } },
+      { session }
+    );
+    if (r.matchedCount !== 1) throw new ledger.LedgerError("Bonus already claimed", "ALREADY_PROCESSED");
+  };
+
+  if (!money.isPositive(money.toString(p.amount))) return complete(null);
+
+  await ledger.move(
+    {
+      kind: "MEMBERSHIP_BONUS",
+      from: ledger.SYSTEM.PAYOUTS,
+      to: ledger.userAccount(m.userId),
+      coin: PAYOUT_COIN,
+      amount: p.amount,
+      meta: { membershipId: m._id, tier: m.tier, bonus: true },
+    },
+    async (session) => {
+      await complete(session);
+      await Transaction.create(
+        [{
+          userId: m.userId,
+          type: "BONUS",
+          coin: PAYOUT_COIN,
+          amount: p.amount,
+          status: "CONFIRMED",
+          meta: { membershipId: m._id, tier: m.tier, bonus: true },
+        }],
+        { session }
+      );
+    }
+  );
+}
+
+/**
+ * Pay everything that is due at `now`. With dryRun nothing is written and the
+ * result lists what would have been paid. `membershipId` limits the run to one membership
+ * (memberships.js settles a plan this way before ending it).
+ */
+export async function runPayouts({ now = new Date(), dryRun = false, membershipId = null } = {}) {
+  const summary = { dryRun, checked: 0, payouts: [], completed: 0, skipped: 0, errors: [] };
+  const filter = { status: "ACTIVE", startDate: { $lte: now }, ...(membershipId ? { _id: membershipId } : {}) };
+  const memberships = await Membership.find(filter).lean();
+
+  for (const m of memberships) {
+    summary.checked++;
+    for (const p of duePayouts(m, now)) {
+      const row = { membershipId: m._id, userId: m.userId, tier: m.tier, kind: p.kind, day: p.day, amount: p.amount };
+      if (dryRun) {
+        summary.payouts.push(row);
+        continue;
+      }
+
+      try {
+        if (p.kind === "DAILY") {
+          await payDaily(m, p);
+          m.daysPaid = p.day;
+        } else {
+          await payBonus(m, p);
+          summary.completed++;
+        }
+        summary.payouts.push(row);
+      } catch (err) {
+        // another runner got there first; the rest of this membership is theirs too
+        if (err.code === "ALREADY_PROCESSED") {
+          summary.skipped++;
+          break;
+        }
+        summary.errors.push({ membershipId: m._id, day: p.day, error: err.message });
+        break;
+      }
+    }
+  }
+
+  return summary;
+}
+
+// in-process scheduler; overlapping ticks are skipped rather than queued
+export function startPayoutScheduler({ intervalMs = 60 * 60 * 1000 } = {}) {
+  let running = false;
+  const tick = async () => {
+    if (running) return;
+    running = true;
+    try {
+      const r = await runPayouts();
+      if (r.payouts.length || r.errors.length) {
+        console.log(`Membership payouts: ${r.payouts.length} paid, ${r.completed} completed, ${r.errors.length} errors`);
+      }
+    } catch (err) {
+      console.error("Membership payout run failed:", err);
+    } finally {
+      running = false;
+    }
+  };
+
+  const timer = setInterval(tick, intervalMs);
+  timer.unref();
+  tick();
+  return () => clearInterval(timer);
+}
+
+// ---------------- CLI ----------------
+if (process.argv[1] && import.meta.url === pathToFileURL(process.argv[1]).href) {
+  dotenv.config();
+  const dryRun = process.argv.includes("--dry-run");
+
+  try {
+    if (!process.env.MONGO_URI) throw new Error("MONGO_URI not set");
+    await connectDB();
+    const r = await runPayouts({ dryRun });
+    console.log(JSON.stringify(r, null, 2));
+    process.exitCode = r.errors.length ? 1 : 0;
+  } catch (err) {
+    console.error(err);
+    process.exitCode = 1;
+  } finally {
+    await mongoose.disconnect();
+  }
+}
@@ -0,0 +1,156 @@
+// prices.js
+// Server-side price oracle. Quotes come from an ordered provider list (PRICE_PROVIDERS,
+// default "coingecko"), are cached for PRICE_TTL_MS and fall back to the last known good
+// quotes when every provider fails. Each quote carries the `source` it came from.
+// The fixture provider reads made-up prices from a local JSON file (PRICE_FIXTURE_FILE,
+// default fixtures/prices.json) for tests and offline development; it is never used unless
+// PRICE_PROVIDERS names it (e.g. "coingecko,fixture" or just "fixture").
+
+import fs from "fs/promises";
+import path from "path";
+import { fileURLToPath } from "url";
+import { PRICE_IDS, PAR_VALUE, asset } from "./assets.js";
+import * as money from "./money.js";
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+// symbol -> CoinGecko id and the at-par assets both come from the registry (assets.json)
+export { PRICE_IDS };
+
+export class PriceError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = "PriceError";
+  }
+}
+
+// ---------------- Providers ----------------
+// a provider is { name, quotes(symbols) } resolving to { SYMBOL: { usd, change24h } }; the
+// service adds `source` (the provider name) and `at` (when it was fetched) to every quote
+
+export function coingeckoProvider({ timeoutMs = 5000 } = {}) {
+  return {
+    name: "coingecko",
+    async quotes(symbols) {
+      const ids = symbols.map((s) => PRICE_IDS[s]).filter(Boolean);
+      const url =
+        "https://api.coingecko.com/api/v3/simple/price?ids=" +
+        ids.join(",") +
+        "&vs_currencies=usd&include_24hr_change=true";
+
+      const res = await fetch(url, {
+        headers: { "User-Agent": "Mozilla/5.0" },
+        signal: AbortSignal.timeout(timeoutMs),
+      });
+      if (!res.ok) throw new PriceError(`CoinGecko responded ${res.status}`);
+      const data = await res.json();
+
+      const out = {};
+      for (const s of symbols) {
+        const q = data[PRICE_IDS[s]];
+        if (q?.usd != null) out[s] = { usd: Number(q.usd), change24h: Number(q.usd_24h_change || 0) };
+      }
+      return out;
+    },
+  };
+}
+
+export function fixtureProvider({ file = path.join(__dirname, "fixtures", "prices.json") } = {}) {
+  return {
+    name: "fixture",
+    async quotes(symbols) {
+      const data = JSON.parse(await fs.readFile(file, "utf8"));
+      const out = {};
+      for (const s of symbols) {
+        if (data[s]?.usd != null) out[s] = { usd: Number(data[s].usd), change24h: Number(data[s].change24h || 0) };
+      }
+      return out;
+    },
+  };
+}
+
+const PROVIDERS = {
+  coingecko: () => coingeckoProvider({ timeoutMs: Number(process.env.PRICE_TIMEOUT_MS || 5000) }),
+  fixture: () => fixtureProvider(process.env.PRICE_FIXTURE_FILE ? { file: process.env.PRICE_FIXTURE_FILE } : {}),
+};
+
+// ---------------- Service ----------------
+const tagSource = (quotes, source, at) => Object.fromEntries(Object.entries(quotes).map(([s, q]) => [s, { ...q, source, at }]));
+
+export function createPriceService({ providers, ttlMs = 30000, symbols = Object.keys(PRICE_IDS) }) {
+  let cache = null; // { quotes, source, updatedAt }
+  let inflight = null;
+
+  async function refresh() {
+    const errors = [];
+    for (const provider of providers) {
+      try {
+        const updatedAt = new Date();
+        const quotes = tagSource(await provider.quotes(symbols), provider.name, updatedAt);
+        if (!Object.keys(quotes).length) throw new PriceError("No quotes returned");
+        // keep last good values (with their own `at`) for anything this provider didn't have
+        cache = {
+          quotes: { ...(cache?.quotes || {}), ...quotes },
+          source: provider.name,
+          updatedAt,
+        };
+        return { ...cache, stale: false };
+      } catch (err) {
+        errors.push(`${provider.name}: ${err.message}`);
+      }
+    }
+
+    if (cache) {
+      console.warn("Price providers failed, serving last known quotes:", errors.join("; "));
+      return { ...cache, stale: true };
+    }
+    throw new PriceError("No price provider available (" + errors.join("; ") + ")");
+  }
+
+  return {
+    async getQuotes() {
+      if (cache && Date.now() - cache.updatedAt.getTime() < ttlMs) return { ...cache, stale: false };
+      inflight ||= refresh().finally(() => {
+        inflight = null;
+      });
+      return inflight;
+    },
+  };
+}
+
+// default service, built on first use so .env has been loaded by then
+let defaultService = null;
+
+export function getQuotes() {
+  defaultService ||= createPriceService({
+    providers: (process.env.PRICE_PROVIDERS || "coingecko")
+      .split(",")
+      .map((n) => n.trim())
+      .filter((n) => PROVIDERS[n])
+      .map((n) => PROVIDERS[n]()),
+    ttlMs: Number(process.env.PRICE_TTL_MS || 30000),
+  });
+  return defaultService.getQuotes();
+}
+
+const USD_VALUE_DECIMALS = 8;
+
+// USD value of `amount` of `coin` against a quote set from getQuotes(), as an exact decimal
+// string (to 8 places); the amount is never squeezed through a float. A coin without a quote
+// counts as 0, or throws PriceError with `strict` (for limits, where 0 would let it through).
+export function toUsd(coin, amount, quotes, { strict = false } = {}) {
+  const price = Object.hasOwn(PAR_VALUE, coin) ? PAR_VALUE[coin] : quotes[coin]?.usd || 0;
+  if (strict && !price) throw new PriceError(`No USD price for ${coin}`);
+  return money.times(amount ?? 0, price, USD_VALUE_DECIMALS);
+}
+
+// at-par coins are worth their parUsd whatever the providers say
+export const atPar = (coin) => Object.hasOwn(PAR_VALUE, coin);
+
+// the amount of `coin` worth `usd` against a quote set from getQuotes() (the inverse of toUsd),
+// rounded to the coin's decimals; throws PriceError when the coin has no price
+export function fromUsd(coin, usd, quotes) {
+  const price = atPar(coin) ? PAR_VALUE[coin] : quotes[coin]?.usd;
+  if (!price) throw new PriceError(`No USD price for ${coin}`);
+  return money.div(usd, price, asset(coin).decimals);
+}
@@ -0,0 +1,32 @@
+// Shared asset registry client (the server's /api/assets, configured in assets.json)
+window.Assets = (() => {
+  let pending = null;
+
+  // resolves to the asset list; fetched once per page
+  function load() {
+    pending ||= fetch('/api/assets')
+      .then(res => res.json())
+      .then(data => data.assets || [])
+      .catch(err => {
+        console.error('Assets load error:', err);
+        pending = null;
+        return [];
+      });
+    return pending;
+  }
+
+  // replaces a <select>'s options with the assets passing `filter`; the page's own options stay
+  // if the registry can't be loaded. Fires "change" when the selected coin had to change.
+  async function fillSelect(select, filter, { label = a => a.symbol, placeholder = null } = {}) {
+    const list = (await load()).filter(filter);
+    if (!list.length) return;
+    const current = select.value;
+    select.innerHTML = '';
+    if (placeholder) select.add(new Option(placeholder, ''));
+    list.forEach(a => select.add(new Option(label(a), a.symbol)));
+    if (list.some(a => a.symbol === current)) select.value = current;
+    if (select.value !== current) select.dispatchEvent(new Event('change'));
+  }
+
+  return { load, fillSelect };
+})();
@@ -3,7 +3,7 @@
 
 async function submitDeposit(coin, amount) {
   try {
-    const res = await fetch('/deposit', {
+    const res = await fetch('/api/deposit', {
       method: 'POST',
       credentials: 'same-origin',
       headers: { 'Content-Type': 'application/json' },
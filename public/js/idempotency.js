@@ -0,0 +1,32 @@
+// Idempotency-Key values for money actions (the server's idempotency.js). Sending the same
+// action with the same fields again - a retry after a network error, a double click - reuses
+// its key, so the server answers with the first result instead of moving funds twice.
+// Call done(action, res) once a response has arrived; the next submit then gets a fresh key.
+window.Idempotency = (() => {
+  const pending = new Map();
+
+  function newKey() {
+    if (crypto.randomUUID) return crypto.randomUUID();
+    return Array.from(crypto.getRandomValues(new Uint8Array(16)), b => b.toString(16).padStart(2, '0')).join('');
+  }
+
+  // the key for `action` (e.g. "transfer") with these fields; changed fields get a new one
+  function key(action, fields) {
+    const body = JSON.stringify(fields);
+    const current = pending.get(action);
+    if (current && current.body === body) return current.key;
+    const next = { body, key: newKey() };
+    pending.set(action, next);
+    return next.key;
+  }
+
+  // a 409 means the first request may still be running, so a retry has to keep its key
+  function done(action, res) {
+    if (!res || res.status !== 409) pending.delete(action);
+  }
+
+  // headers for a JSON POST carrying the key
+  const headers = (action, fields) => ({ 'Content-Type': 'application/json', 'Idempotency-Key': key(action, fields) });
+
+  return { key, done, headers };
+})();
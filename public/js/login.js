@@ -21,6 +21,19 @@ document.addEventListener('DOMContentLoaded', () => {
         errEl.textContent = j.error || `Login failed (${res.status})`;
         return;
       }
+      if (j.twoFactorRequired) {
+        const code = prompt('Enter the code from your authenticator app (or a recovery code)');
+        const res2 = await fetch('/api/login/2fa', {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/json' },
+          body: JSON.stringify({ code: code || '' })
+        });
+        const j2 = await res2.json().catch(() => ({}));
+        if (!res2.ok) {
+          errEl.textContent = j2.error || 'Invalid 2FA code';
+          return;
+        }
+      }
       // success: redirect to account or reload
       window.location.href = '/account.html';
     } catch (e) {
@@ -1,6 +1,6 @@
-// Shared price updater (uses CoinGecko simple/price endpoint)
+// Shared price updater (uses the server's cached /api/prices feed)
 (() => {
-  const API = 'https://api.coingecko.com/api/v3/simple/price';
+  const API = '/api/prices';
   let intervalId = null;
 
   function formatPrice(v) {
@@ -11,14 +11,15 @@
   async function fetchAndUpdate(ids) {
     if (!ids || ids.length === 0) return;
     try {
-      const idsParam = encodeURIComponent(ids.join(','));
-      const url = `${API}?ids=${idsParam}&vs_currencies=usd&include_24hr_change=true`;
-      const res = await fetch(url);
+      const res = await fetch(API);
       const data = await res.json();
+      // quotes are keyed by symbol; pages still tag elements with CoinGecko ids
+      const byId = {};
+      Object.values(data.prices || {}).forEach(q => { byId[q.id] = q; });
 
       ids.forEach(id => {
-        const price = data[id] && data[id].usd;
-        const change = data[id] && data[id].usd_24h_change;
+        const price = byId[id] && byId[id].usd;
+        const change = byId[id] && byId[id].change24h;
         // update elements by data attributes
         const priceEl = document.querySelectorAll(`[data-price-id="${id}"]`);
         priceEl.forEach(el => el.textContent = formatPrice(price));
@@ -1,11 +1,5 @@
-const COINS = [
-  { id: 'bitcoin', symbol: 'BTC', name: 'Bitcoin', img: '/img/btc.png' },
-  { id: 'ethereum', symbol: 'ETH', name: 'Ethereum', img: '/img/eth.png' },
-  { id: 'tether', symbol: 'USDT', name: 'Tether', img: '/img/usdt.png' },
-  { id: 'cardano', symbol: 'ADA', name: 'Cardano', img: '/img/ada.png' },
-  { id: 'binancecoin', symbol: 'BNB', name: 'BNB', img: '/img/bnb.png' },
-  { id: 'solana', symbol: 'SOL', name: 'Solana', img: '/img/sol.png' }
-];
+// every asset with a market price, from the registry (load /js/assets.js before this file)
+let COINS = [];
 
 const coinsListEl = document.getElementById('coinsList');
 const chartArea = document.getElementById('chartArea');
@@ -39,18 +33,17 @@ function renderCoins() {
 }
 
 async function fetchPrices() {
-  const ids = COINS.map(c => c.id).join(',');
   try {
-    const url = `https://api.coingecko.com/api/v3/simple/price?ids=${ids}&vs_currencies=usd&include_24hr_change=true`;
-    const res = await fetch(url);
+    const res = await fetch('/api/prices');
     const data = await res.json();
+    const prices = data.prices || {};
     COINS.forEach(c => {
       const pEl = document.getElementById(`price-${c.id}`);
       const chEl = document.getElementById(`chg-${c.id}`);
-      if (data[c.id] && data[c.id].usd != null) {
-        const price = Number(data[c.id].usd);
+      if (prices[c.symbol] && prices[c.symbol].usd != null) {
+        const price = Number(prices[c.symbol].usd);
         pEl.textContent = '$' + price.toLocaleString(undefined, { maximumFractionDigits: 8 });
-        const ch = Number(data[c.id].usd_24h_change || 0);
+        const ch = Number(prices[c.symbol].change24h || 0);
         chEl.textContent = (ch >= 0 ? '+' : '') + ch.toFixed(2) + '%';
         chEl.className = 'change ' + (ch >= 0 ? 'pos' : 'neg');
       } else {
@@ -63,12 +56,8 @@ async function fetchPrices() {
   }
 }
 
-// timeframe in milliseconds map
-const TIMEFRAMES = {
-  '1H': 60 * 60 * 1000,
-  '6H': 6 * 60 * 60 * 1000,
-  '1D': 24 * 60 * 60 * 1000
-};
+// chart ranges served by /api/chart (candle interval is picked by the server)
+const TIMEFRAMES = ['1H', '6H', '1D', '7D', '30D', '1Y'];
 
 function openChart(coin) {
   selectedCoin = coin;
@@ -83,27 +72,18 @@ async function loadChartData(coinId, timeframeKey = '1D') {
   if (liveInterval) { clearInterval(liveInterval); liveInterval = null; }
 
   try {
-    // fetch 1 day of data (CoinGecko supports days=1). We'll filter to timeframe.
-    const url = `https://api.coingecko.com/api/v3/coins/${coinId}/market_chart?vs_currency=usd&days=1`;
-    const res = await fetch(url);
+    const range = TIMEFRAMES.includes(timeframeKey) ? timeframeKey : '1D';
+    const res = await fetch(`/api/chart/${coinId}?range=${range}`);
     const data = await res.json();
-    if (!data.prices) throw new Error('No chart data');
+    if (!data.candles) throw new Error(data.error || 'No chart data');
 
-    const now = Date.now();
-    const tfMs = TIMEFRAMES[timeframeKey] || TIMEFRAMES['1D'];
-
-    // Filter points within timeframe (if tf is > 24h, keep all)
-    const filtered = data.prices.filter(p => {
-      const t = p[0];
-      return (tfMs >= 24 * 60 * 60 * 1000) || (t >= now - tfMs);
-    });
-
-    // Convert to labels and values (use local time string for x labels)
-    const labels = filtered.map(p => {
-      const d = new Date(p[0]);
-      return d.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+    // time of day for intraday ranges, dates for the longer ones
+    const intraday = ['1H', '6H', '1D'].includes(range);
+    const labels = data.candles.map(c => {
+      const d = new Date(c.t);
+      return intraday ? d.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' }) : d.toLocaleDateString();
     });
-    const values = filtered.map(p => Number(p[1]));
+    const values = data.candles.map(c => Number(c.close));
 
     // create or update chart
     if (priceChart) priceChart.destroy();
@@ -147,9 +127,10 @@ async function loadChartData(coinId, timeframeKey = '1D') {
     // start live updates (poll latest price every pricePollInterval)
     liveInterval = setInterval(async () => {
       try {
-        const pRes = await fetch(`https://api.coingecko.com/api/v3/simple/price?ids=${coinId}&vs_currencies=usd`);
+        const pRes = await fetch(`/api/prices?coins=${selectedCoin.symbol}`);
         const pData = await pRes.json();
-        const newPrice = pData[coinId] && pData[coinId].usd;
+        const quote = pData.prices && pData.prices[selectedCoin.symbol];
+        const newPrice = quote && quote.usd;
         if (newPrice != null && priceChart) {
           const nowLabel = new Date().toLocaleTimeString([], { hour: '2-digit', minute: '2-digit', second: '2-digit' });
           priceChart.data.labels.push(nowLabel);
@@ -177,9 +158,15 @@ document.addEventListener('click', (e) => {
   if (e.target.id === 'btn1h') loadChartData(selectedCoin.id, '1H');
   if (e.target.id === 'btn6h') loadChartData(selectedCoin.id, '6H');
   if (e.target.id === 'btn1d') loadChartData(selectedCoin.id, '1D');
+  if (e.target.id === 'btn7d') loadChartData(selectedCoin.id, '7D');
+  if (e.target.id === 'btn30d') loadChartData(selectedCoin.id, '30D');
+  if (e.target.id === 'btn1y') loadChartData(selectedCoin.id, '1Y');
 });
 
 // initial
-renderCoins();
-fetchPrices();
-setInterval(fetchPrices, 10000); // refresh coin prices every 10s
\ No newline at end of file
+Assets.load().then(list => {
+  COINS = list.filter(a => a.priceId).map(a => ({ id: a.priceId, symbol: a.symbol, name: a.name, img: a.icon }));
+  renderCoins();
+  fetchPrices();
+  setInterval(fetchPrices, 10000); // refresh coin prices every 10s
+});
\ No newline at end of file
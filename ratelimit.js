@@ -0,0 +1,186 @@
+// ratelimit.js
+// Brute-force protection for /api/login, /api/register and /api/forgot-password. Failures are counted per IP and
+// per account; past LOGIN_FREE_ATTEMPTS each further failure doubles the wait before the
+// next attempt, and LOGIN_LOCK_AFTER failures lock the account for LOGIN_LOCK_MINUTES.
+// Counters live in a store: memoryStore() for a single process / tests, mongoStore() to share
+// them between instances. Both take a `now` clock so the policy can be tested without waiting.
+
+import { RateLimit } from "./db.js";
+import { logSecurityEvent } from "./security-log.js";
+
+const MINUTE = 60 * 1000;
+const num = (name, fallback) => (process.env[name] != null ? Number(process.env[name]) : fallback);
+
+export function loginGuardConfig() {
+  return {
+    windowMs: num("LOGIN_WINDOW_MINUTES", 15) * MINUTE,
+    ipMaxFailures: num("LOGIN_IP_MAX_FAILURES", 50),
+    freeAttempts: num("LOGIN_FREE_ATTEMPTS", 3),
+    delayBaseMs: num("LOGIN_DELAY_BASE_MS", 1000),
+    delayMaxMs: num("LOGIN_DELAY_MAX_MS", 60 * 1000),
+    lockAfter: num("LOGIN_LOCK_AFTER", 10),
+    lockMs: num("LOGIN_LOCK_MINUTES", 15) * MINUTE,
+    registerMax: num("REGISTER_IP_MAX", 5),
+    registerWindowMs: num("REGISTER_WINDOW_MINUTES", 60) * MINUTE,
+    resetMax: num("PASSWORD_RESET_IP_MAX", 5),
+    resetWindowMs: num("PASSWORD_RESET_WINDOW_MINUTES", 60) * MINUTE,
+  };
+}
+
+// ---------------- Stores ----------------
+// record: { count, resetAt, nextAttemptAt, lockedUntil } with times in ms
+
+export function memoryStore({ now = Date.now } = {}) {
+  const map = new Map();
+  const live = (key) => {
+    const r = map.get(key);
+    if (r && Math.max(r.resetAt, r.lockedUntil || 0, r.nextAttemptAt || 0) <= now()) {
+      map.delete(key);
+      return null;
+    }
+    return r || null;
+  };
+
+  return {
+    async get(key) {
+      return live(key);
+    },
+    async incr(key, windowMs) {
+      const r = live(key) || { count: 0, resetAt: 0, nextAttemptAt: null, lockedUntil: null };
+      if (r.resetAt <= now()) {
+        r.count = 0;
+        r.resetAt = now() + windowMs;
+      }
+      r.count++;
+      map.set(key, r);
+      return { ...r };
+    },
+    async update(key, fields) {
+      const r = live(key);
+      if (r) Object.assign(r, fields);
+    },
+    async reset(key) {
+      map.delete(key);
+    },
+  };
+}
+
+export function mongoStore({ now = Date.now } = {}) {
+  const toRecord = (d) =>
+    d && {
+      count: d.count,
+      resetAt: d.resetAt.getTime(),
+      nextAttemptAt: d.nextAttemptAt?.getTime() || null,
+      lockedUntil: d.lockedUntil?.getTime() || null,
+    };
+
+  return {
+    async get(key) {
+      const d = await RateLimit.findOne({ _id: key, expiresAt: { $gt: new Date(now()) } }).lean();
+      return toRecord(d);
+    },
+    async incr(key, windowMs) {
+      const t = new Date(now());
+      let d = await RateLimit.findOneAndUpdate(
+        { _id: key, resetAt: { $gt: t } },
+        { $inc: { count: 1 } },
+        { new: true, lean: true }
+      );
+      if (!d) {
+        // new window; a running lock (lockedUntil) is kept
+        const resetAt = new Date(t.getTime() + windowMs);
+        d = await RateLimit.findOneAndUpdate(
+          { _id: key },
+          { $set: { count: 1, resetAt }, $max: { expiresAt: resetAt } },
+          { upsert: true, new: true, lean: true }
+        );
+      }
+      return toRecord(d);
+    },
+    async update(key, fields) {
+      const set = {};
+      let expiresAt = 0;
+      for (const [k, v] of Object.entries(fields)) {
+        set[k] = v == null ? null : new Date(v);
+        expiresAt = Math.max(expiresAt, v || 0);
+      }
+      await RateLimit.updateOne({ _id: key }, { $set: set, $max: { expiresAt: new Date(expiresAt) } });
+    },
+    async reset(key) {
+      await RateLimit.deleteOne({ _id: key });
+    },
+  };
+}
+
+// ---------------- Guard ----------------
+const retryAfterSeconds = (until, t) => Math.max(1, Math.ceil((until - t) / 1000));
+
+export function createLoginGuard({ store, now = Date.now, config = loginGuardConfig(), log = logSecurityEvent }) {
+  return {
+    /**
+     * Before checking credentials. Resolves null when the attempt may go ahead, otherwise
+     * { status, error, retryAfter } to send back.
+     */
+    async check({ ip, accountKey, event = {} }) {
+      const t = now();
+      const acct = await store.get(`acct:${accountKey}`);
+      if (acct?.lockedUntil > t) {
+        await log("LOGIN_BLOCKED", { ...event, ip, meta: { reason: "locked" } });
+        return { status: 423, error: "Account temporarily locked. Try again later.", retryAfter: retryAfterSeconds(acct.lockedUntil, t) };
+      }
+      if (acct?.nextAttemptAt > t) {
+        return { status: 429, error: "Too many attempts. Please wait and try again.", retryAfter: retryAfterSeconds(acct.nextAttemptAt, t) };
+      }
+
+      const byIp = await store.get(`ip:${ip}`);
+      if (byIp && byIp.count >= config.ipMaxFailures) {
+        await log("LOGIN_BLOCKED", { ...event, ip, meta: { reason: "ip" } });
+        return { status: 429, error: "Too many attempts. Please wait and try again.", retryAfter: retryAfterSeconds(byIp.resetAt, t) };
+      }
+      return null;
+    },
+
+    async failed({ ip, accountKey, event = {} }) {
+      const t = now();
+      await store.incr(`ip:${ip}`, config.windowMs);
+      const acct = await store.incr(`acct:${accountKey}`, config.windowMs);
+
+      const fields = {};
+      const over = acct.count - config.freeAttempts;
+      if (over > 0) fields.nextAttemptAt = t + Math.min(config.delayMaxMs, config.delayBaseMs * 2 ** (over - 1));
+      if (acct.count >= config.lockAfter) fields.lockedUntil = t + config.lockMs;
+      if (Object.keys(fields).length) await store.update(`acct:${accountKey}`, fields);
+
+      await log("LOGIN_FAILED", { ...event, ip, meta: { ...event.meta, failures: acct.count } });
+      if (fields.lockedUntil) {
+        await log("ACCOUNT_LOCKED", { ...event, ip, meta: { failures: acct.count, until: new Date(fields.lockedUntil) } });
+      }
+    },
+
+    async succeeded({ accountKey }) {
+      await store.reset(`acct:${accountKey}`);
+    },
+
+    // counts every registration attempt from an IP
+    async checkRegister({ ip, event = {} }) {
+      const r = await store.incr(`reg:${ip}`, config.registerWindowMs);
+      if (r.count <= config.registerMax) return null;
+      await log("REGISTER_THROTTLED", { ...event, ip, meta: { attempts: r.count } });
+      return { status: 429, error: "Too many registrations. Please try again later.", retryAfter: retryAfterSeconds(r.resetAt, now()) };
+    },
+
+    // counts every reset request from an IP, whether or not the email belongs to anyone
+    async checkPasswordReset({ ip, event = {} }) {
+      const r = await store.incr(`reset:${ip}`, config.resetWindowMs);
+      if (r.count <= config.resetMax) return null;
+      await log("PASSWORD_RESET_THROTTLED", { ...event, ip, meta: { attempts: r.count } });
+      return { status: 429, error: "Too many reset requests. Please try again later.", retryAfter: retryAfterSeconds(r.resetAt, now()) };
+    },
+  };
+}
+
+// sends a check()/checkRegister()/checkPasswordReset() refusal
+export function sendBlocked(res, blocked) {
+  res.set("Retry-After", String(blocked.retryAfter));
+  return res.status(blocked.status).json({ error: blocked.error, retryAfter: blocked.retryAfter });
+}
@@ -0,0 +1,16 @@
+// security-log.js
+// Append-only log of security-relevant events (failed logins, lockouts, throttling).
+// Writing never throws: a log outage must not turn into a login outage.
+
+import { SecurityEvent } from "./db.js";
+
+export async function logSecurityEvent(type, { userId = null, account = null, ip = null, userAgent = null, meta = {} } = {}) {
+  try {
+    await SecurityEvent.create({ type, userId, account, ip, userAgent, meta });
+  } catch (err) {
+    console.error("Security event not recorded:", type, err.message);
+  }
+}
+
+// request-derived fields for an event
+export const requestInfo = (req) => ({ ip: req.ip, userAgent: req.get("user-agent") || null });
@@ -3,6 +3,7 @@
 // /api/balances endpoint, deposit/withdraw/membership flows and admin endpoints.
 // Node ESM expected (type: module in package.json).
 
+import crypto from "crypto";
 import express from "express";
 import session from "express-session";
 import bcrypt from "bcryptjs";
@@ -12,15 +13,59 @@ import dotenv from "dotenv";
 import path from "path";
 import { fileURLToPath } from "url";
 import MongoStore from "connect-mongo";
-import { connectDB, User, Transaction, Membership } from "./db.js";
+import {
+  connectDB,
+  User,
+  Transaction,
+  Deposit,
+  Membership,
+  LedgerEntry,
+  SecurityEvent,
+  PasswordReset,
+  Admin,
+  AuditLog,
+  KycSubmission,
+  PaymentMethod,
+  SupportTicket,
+  TICKET_STATUSES,
+} from "./db.js";
+import * as ledger from "./ledger.js";
+import { runPayouts, startPayoutScheduler, PAYOUT_COIN } from "./payouts.js";
+import { getQuotes, toUsd, fromUsd, atPar, PRICE_IDS, PriceError } from "./prices.js";
+import * as candles from "./candles.js";
+import * as totp from "./totp.js";
+import { sessionRegistry, publicSessionId } from "./sessions.js";
+import { createLoginGuard, memoryStore, mongoStore, sendBlocked } from "./ratelimit.js";
+import { requestInfo, logSecurityEvent } from "./security-log.js";
+import * as admins from "./admins.js";
+import { recordAudit, txState } from "./audit.js";
+import * as history from "./tx-history.js";
+import * as kyc from "./kyc.js";
+import { NETWORKS, addressProblem, detectNetwork } from "./addresses.js";
+import { sendMail, appLink, mailTransport } from "./mailer.js";
+import * as assets from "./assets.js";
+import * as money from "./money.js";
+import * as tiers from "./tiers.js";
+import * as memberships from "./memberships.js";
+import { v, validate, fieldError, idParam } from "./validate.js";
+import { openApiDocument } from "./openapi.js";
+import { idempotent } from "./idempotency.js";
+import * as withdrawals from "./withdrawals.js";
 
 dotenv.config();
 
+// reset and confirmation mail has to have somewhere safe to go (see mailer.js)
+mailTransport();
+// a bad four-eyes threshold stops the server here rather than failing approvals (see withdrawals.js)
+withdrawals.secondApprovalThresholds();
+
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
 // connect to MongoDB (db.js exports connectDB + models)
 await connectDB();
+// a fresh database gets the membership plans from tiers.json
+if (mongoose.connection.readyState === 1) await tiers.seedTiers();
 
 const app = express();
 
@@ -33,14 +78,11 @@ const ALLOWED_ORIGINS = [
 ];
 const isProd = process.env.NODE_ENV === "production";
 
-// membership tiers config (keep synced with frontend)
-const TIERS = {
-  V1: { price: 51, daily: 10, duration: 5, bonus: 50 },
-  V2: { price: 1498.5, daily: 100, duration: 7, bonus: 3000 },
-  V3: { price: 3001, daily: 10000, duration: 10, bonus: 90000 },
-  V4: { price: 29998.5, daily: 50000, duration: 15, bonus: 300000 },
-  V5: { price: 50001, daily: 75000, duration: 30, bonus: 500000 },
-};
+// receiving addresses for depositable assets (DEPOSIT_ADDRESS_<COIN> in env, else the
+// registry's depositAddress); coins without one can't be deposited
+const DEPOSIT_ADDRESSES = Object.fromEntries(
+  assets.ASSETS.filter((a) => a.deposit).map((a) => [a.symbol, process.env[`DEPOSIT_ADDRESS_${a.symbol}`] || a.depositAddress])
+);
 
 // ---------------- CORS ----------------
 app.use(
@@ -53,24 +95,32 @@ app.use(
     },
     credentials: true,
     methods: ["GET", "POST", "PUT", "DELETE", "OPTIONS"],
+    exposedHeaders: ["Idempotent-Replayed", "Retry-After"],
   })
 );
 
 app.set("trust proxy", isProd ? 1 : 0);
 
 // ---------------- Sessions ----------------
+// we keep our own handle on the session collection so /api/sessions can list and revoke them
 let sessionStore = null;
+let sessionCollection = null;
 if (process.env.MONGO_URI) {
+  const clientPromise = mongoose.mongo.MongoClient.connect(process.env.MONGO_URI);
   sessionStore = MongoStore.create({
-    mongoUrl: process.env.MONGO_URI,
+    clientPromise,
     collectionName: "sessions",
   });
+  sessionCollection = clientPromise.then((client) => client.db().collection("sessions"));
+} else {
+  sessionStore = new session.MemoryStore();
 }
+const sessions = sessionRegistry({ store: sessionStore, collection: sessionCollection });
 
 app.use(
   session({
     secret: process.env.SESSION_SECRET || "your-secret-key",
-    store: sessionStore || undefined,
+    store: sessionStore,
     resave: false,
     saveUninitialized: false,
     cookie: {
@@ -88,6 +138,17 @@ app.use((req, res, next) => {
   next();
 });
 
+// last-seen for the sessions list, written at most once a minute per session
+const LAST_SEEN_EVERY_MS = 60 * 1000;
+app.use((req, res, next) => {
+  const meta = req.session?.userId && req.session.meta;
+  if (meta && Date.now() - new Date(meta.lastSeen || 0).getTime() > LAST_SEEN_EVERY_MS) {
+    meta.lastSeen = new Date().toISOString();
+    meta.ip = req.ip;
+  }
+  next();
+});
+
 app.use(express.json({ limit: "10mb" }));
 app.use(express.urlencoded({ extended: true }));
 app.use(express.static(path.join(__dirname, "public")));
@@ -97,24 +158,136 @@ const needAuth = (req, res, next) => {
   if (!req.session?.userId) return res.status(401).json({ error: "Please login" });
   next();
 };
+// apiSecurity tells openapi.js how a route is protected
+needAuth.apiSecurity = [{ userSession: [] }];
+
+// marks the session as logged in as `user` and records where it came from
+function startSession(req, user) {
+  const now = new Date().toISOString();
+  req.session.userId = user._id.toString();
+  req.session.username = user.username;
+  req.session.meta = { ip: req.ip, userAgent: req.get("user-agent") || null, createdAt: now, lastSeen: now };
+}
 
-// ---------------- Admin middleware ----------------
-function requireAdmin(req, res, next) {
-  const key = req.headers["x-admin-key"] || req.query.key || req.query.admin_key;
-  if (key !== process.env.ADMIN_KEY) {
-    return res.status(401).json({ error: "Unauthorized admin" });
+// emailed tokens (email confirmation, password reset) are stored only as their sha256
+const newToken = () => crypto.randomBytes(32).toString("base64url");
+const hashToken = (token) => crypto.createHash("sha256").update(String(token)).digest("hex");
+const CASE_INSENSITIVE = { locale: "en", strength: 2 };
+
+// server-side password rules for register, change-password and reset-password; returns a message or null
+function passwordProblem(password) {
+  if (typeof password !== "string" || password.length < 8) return "Password must be at least 8 characters";
+  if (password.length > 128) return "Password must be at most 128 characters";
+  if (!/[A-Za-z]/.test(password) || !/\d/.test(password)) return "Password must contain letters and numbers";
+  return null;
+}
+
+// ---------------- Request fields ----------------
+// shared pieces of the validate() specs below (see validate.js)
+const USERNAME_PATTERN = /^[A-Za-z0-9_.-]{3,30}$/;
+const USERNAME = v.string({ pattern: USERNAME_PATTERN, message: "Username must be 3-30 letters, digits, '.', '_' or '-'" });
+const NEW_PASSWORD = v.string({ trim: false, max: 128 }).check(passwordProblem);
+const PASSWORD = v.string({ trim: false, max: 128 });
+const COIN = v.oneOf(assets.ASSETS.map((a) => a.symbol));
+const PAGE_LIMIT = v.integer({ min: 1 }).optional();
+// step-up code for routes behind requireFreshTotp
+const TOTP = { totp: v.string({ max: 16 }).optional().describe("Current 2FA code when 2FA is on (or the x-2fa-code header)") };
+
+// ---------------- Brute-force protection ----------------
+// RATE_LIMIT_STORE=memory|mongo; defaults to mongo when there is a database to share counters in
+const loginGuard = createLoginGuard({
+  store: (process.env.RATE_LIMIT_STORE || (process.env.MONGO_URI ? "mongo" : "memory")) === "mongo" ? mongoStore() : memoryStore(),
+});
+
+// one counter per real account whichever identifier was typed; unknown names count on their own
+const accountKey = (user, lookup) => (user ? `user:${user._id}` : `name:${String(lookup).toLowerCase()}`);
+
+// ---------------- Two-factor ----------------
+const PENDING_2FA_MS = 5 * 60 * 1000;
+
+// checks a TOTP code (or a recovery code when allowed) for a user loaded with +twoFactor;
+// the accepted step is recorded and recovery codes are burned so neither can be replayed
+async function checkSecondFactor(user, code, { allowRecovery = false } = {}) {
+  const tf = user.twoFactor;
+  if (!tf?.enabled || !code) return false;
+
+  const step = totp.verifyCode(tf.secret, code, { afterStep: tf.lastStep });
+  if (step !== null) {
+    const r = await User.updateOne(
+      { _id: user._id, "twoFactor.lastStep": { $lt: step } },
+      { $set: { "twoFactor.lastStep": step } }
+    );
+    return r.matchedCount === 1;
   }
-  next();
+
+  if (!allowRecovery) return false;
+  const hash = totp.hashRecoveryCode(code);
+  const r = await User.updateOne(
+    { _id: user._id, "twoFactor.recoveryCodes": hash },
+    { $pull: { "twoFactor.recoveryCodes": hash } }
+  );
+  return r.modifiedCount === 1;
 }
 
+// step-up for money-moving routes: with 2FA on, the request must carry a current code
+// in body.totp or the x-2fa-code header
+const requireFreshTotp = async (req, res, next) => {
+  try {
+    const user = await User.findById(req.session.userId).select("+twoFactor");
+    if (!user) return res.status(404).json({ error: "User not found" });
+    if (!user.twoFactor?.enabled) return next();
+
+    const code = req.body?.totp || req.headers["x-2fa-code"];
+    if (!code) return res.status(401).json({ error: "2FA code required", twoFactorRequired: true });
+    if (!(await checkSecondFactor(user, String(code)))) {
+      return res.status(401).json({ error: "Invalid 2FA code", twoFactorRequired: true });
+    }
+    next();
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+};
+
+// ---------------- Admin middleware ----------------
+// requireAdmin("deposits:approve") etc.; the account is reloaded on every request so a role
+// change or `node admins.js disable` applies to sessions that are already signed in
+const requireAdmin = (permission) => {
+  const middleware = async (req, res, next) => {
+    try {
+      if (!req.session?.adminId) return res.status(401).json({ error: "Admin login required" });
+
+      const admin = await Admin.findById(req.session.adminId).select("-password").lean();
+      if (!admin?.active) {
+        delete req.session.adminId;
+        return res.status(401).json({ error: "Admin login required" });
+      }
+      if (!admins.can(admin.role, permission)) return res.status(403).json({ error: "Not allowed for your admin role" });
+
+      req.admin = admin;
+      next();
+    } catch (err) {
+      res.status(500).json({ error: err.message });
+    }
+  };
+  middleware.apiSecurity = [{ adminSession: [permission] }];
+  return middleware;
+};
+
 // ---------------- Health ----------------
-app.get("/api/health", (req, res) => res.json({ ok: true }));
+app.get("/api/health", validate({ summary: "Liveness check" }), (req, res) => res.json({ ok: true }));
 
 // ---------------- Register ----------------
-app.post("/api/register", async (req, res) => {
+const registerSpec = {
+  summary: "Create an account and sign in",
+  body: { email: v.email(), username: USERNAME, password: NEW_PASSWORD },
+};
+
+app.post("/api/register", validate(registerSpec), async (req, res) => {
   try {
     const { email, username, password } = req.body;
-    if (!email || !username || !password) return res.status(400).json({ error: "All fields required" });
+
+    const throttled = await loginGuard.checkRegister({ ip: req.ip, event: requestInfo(req) });
+    if (throttled) return sendBlocked(res, throttled);
 
     const exists = await User.findOne({ $or: [{ email }, { username }] });
     if (exists) return res.status(400).json({ error: "User exists" });
@@ -124,11 +297,11 @@ app.post("/api/register", async (req, res) => {
       email,
       username,
       password: hash,
-      balances: { BTC: 0, ETH: 0, USDT: 0, BNB: 0, ADA: 0, USD: 0 },
+      balances: Object.fromEntries(ledger.COINS.map((c) => [c, "0"])),
+      ledgerOpenedAt: new Date(),
     });
 
-    req.session.userId = user._id.toString();
-    req.session.username = user.username;
+    startSession(req, user);
 
     res.json({ ok: true, user: { id: user._id, email, username } });
   } catch (err) {
@@ -137,20 +310,39 @@ app.post("/api/register", async (req, res) => {
 });
 
 // ---------------- Login ----------------
-app.post("/api/login", async (req, res) => {
+// the login page sends what was typed as both username and email
+const loginSpec = {
+  summary: "Sign in with a username or email; may ask for /api/login/2fa next",
+  body: { username: v.string({ max: 254 }).optional(), email: v.string({ max: 254 }).optional(), password: PASSWORD },
+};
+
+app.post("/api/login", validate(loginSpec), async (req, res) => {
   try {
     const { username, email, password } = req.body;
     const lookup = username || email;
-    if (!lookup || !password) return res.status(400).json({ error: "Credentials missing" });
+    if (!lookup) return fieldError(res, "username", "username or email is required");
 
-    const user = await User.findOne({ $or: [{ email: lookup }, { username: lookup }] });
-    if (!user) return res.status(401).json({ error: "Invalid login" });
+    const user = await User.findOne({ $or: [{ email: lookup }, { username: lookup }] }).select("+twoFactor");
+    const key = accountKey(user, lookup);
+    const event = { ...requestInfo(req), userId: user?._id || null, account: String(lookup) };
+
+    const blocked = await loginGuard.check({ ip: req.ip, accountKey: key, event });
+    if (blocked) return sendBlocked(res, blocked);
+
+    const ok = user ? await bcrypt.compare(password, user.password) : false;
+    if (!ok) {
+      await loginGuard.failed({ ip: req.ip, accountKey: key, event });
+      return res.status(401).json({ error: "Invalid login" });
+    }
 
-    const ok = await bcrypt.compare(password, user.password);
-    if (!ok) return res.status(401).json({ error: "Invalid login" });
+    // password was right; the session only becomes logged in after /api/login/2fa
+    if (user.twoFactor?.enabled) {
+      req.session.pending2fa = { userId: user._id.toString(), at: Date.now() };
+      return res.json({ ok: true, twoFactorRequired: true });
+    }
 
-    req.session.userId = user._id.toString();
-    req.session.username = user.username;
+    await loginGuard.succeeded({ accountKey: key });
+    startSession(req, user);
 
     res.json({ ok: true, user: { id: user._id, username: user.username, email: user.email } });
   } catch (err) {
@@ -158,335 +350,2099 @@ app.post("/api/login", async (req, res) => {
   }
 });
 
-// ---------------- Internal Transfer ----------------
-app.post("/api/internal-transfer", needAuth, async (req, res) => {
-  try {
-    const { recipient, amount, coin } = req.body;
+// ---------------- Logout ----------------
+app.post("/api/logout", validate({ summary: "Sign out" }), (req, res) => {
+  req.session.destroy((err) => {
+    if (err) return res.status(500).json({ error: "Logout failed" });
+    res.clearCookie("connect.sid", { path: "/" });
+    res.json({ ok: true });
+  });
+});
 
-    if (!recipient || !amount || amount <= 0)
-      return res.status(400).json({ error: "Invalid transfer" });
+// second step of a 2FA login: { code } is a TOTP code or one of the recovery codes
+app.post("/api/login/2fa", validate({ summary: "Second login step", body: { code: v.string({ max: 32 }) } }), async (req, res) => {
+  try {
+    const pending = req.session.pending2fa;
+    if (!pending || Date.now() - pending.at > PENDING_2FA_MS) {
+      delete req.session.pending2fa;
+      return res.status(401).json({ error: "Login expired, please sign in again" });
+    }
 
-    const ALLOWED = ["BTC", "ETH", "USDT", "BNB", "ADA"];
-    if (!ALLOWED.includes(coin))
-      return res.status(400).json({ error: "Unsupported coin" });
+    const user = await User.findById(pending.userId).select("+twoFactor");
+    if (!user) return res.status(401).json({ error: "Invalid login" });
 
-    const sender = await User.findById(req.session.userId);
-    if (!sender) return res.status(404).json({ error: "Sender not found" });
+    // 2FA guesses count against the same account counter as passwords
+    const key = accountKey(user);
+    const event = { ...requestInfo(req), userId: user._id, account: user.username, meta: { step: "2fa" } };
+    const blocked = await loginGuard.check({ ip: req.ip, accountKey: key, event });
+    if (blocked) return sendBlocked(res, blocked);
 
-    if (sender.username === recipient)
-      return res.status(400).json({ error: "You cannot transfer to yourself" });
+    if (!(await checkSecondFactor(user, req.body.code, { allowRecovery: true }))) {
+      await loginGuard.failed({ ip: req.ip, accountKey: key, event });
+      return res.status(401).json({ error: "Invalid 2FA code" });
+    }
 
-    const senderBalance = Number(sender.balances?.[coin] || 0);
-    if (senderBalance < amount)
-      return res.status(400).json({ error: "Insufficient balance" });
+    delete req.session.pending2fa;
+    await loginGuard.succeeded({ accountKey: key });
+    startSession(req, user);
 
-    const receiver = await User.findOne({ username: recipient });
-    if (!receiver) return res.status(404).json({ error: "Recipient not found" });
+    res.json({ ok: true, user: { id: user._id, username: user.username, email: user.email } });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
 
-    // update balances safely
-    sender.balances[coin] = senderBalance - amount;
-    receiver.balances[coin] = Number(receiver.balances?.[coin] || 0) + amount;
+// ---------------- Password & sessions ----------------
+// changing the password signs out every other session of this user
+const changePasswordSpec = { summary: "Change the password", body: { current: PASSWORD, password: NEW_PASSWORD } };
 
-    await sender.save();
-    await receiver.save();
+app.post("/api/change-password", needAuth, validate(changePasswordSpec), async (req, res) => {
+  try {
+    const { current, password } = req.body;
 
-    // logs for sender
-    await Transaction.create({
-      userId: sender._id,
-      type: "TRANSFER",
-      coin,
-      amount,
-      status: "CONFIRMED",
-      meta: { direction: "SENT", to: receiver.username }
-    });
+    const user = await User.findById(req.session.userId);
+    if (!user) return res.status(404).json({ error: "User not found" });
 
-    // logs for receiver
-    await Transaction.create({
-      userId: receiver._id,
-      type: "TRANSFER",
-      coin,
-      amount,
-      status: "CONFIRMED",
-      meta: { direction: "RECEIVED", from: sender.username }
-    });
+    if (!(await bcrypt.compare(current, user.password))) {
+      return res.status(401).json({ error: "Current password is incorrect" });
+    }
+    if (await bcrypt.compare(password, user.password)) {
+      return res.status(400).json({ error: "New password must differ from the current one" });
+    }
 
-    return res.json({ ok: true, message: "Transfer successful" });
+    user.password = await bcrypt.hash(password, 10);
+    await user.save();
 
+    const revoked = await sessions.revokeAll(user._id, { except: req.sessionID });
+    res.json({ ok: true, revokedSessions: revoked });
   } catch (err) {
-    console.error("Internal transfer error:", err);
-    return res.status(500).json({ error: err.message || "Transfer failed" });
+    res.status(500).json({ error: err.message });
   }
 });
 
-// ---------------- Profile ----------------
-app.get("/api/profile", needAuth, async (req, res) => {
+app.get("/api/sessions", needAuth, validate({ summary: "Signed-in devices" }), async (req, res) => {
   try {
-    const user = await User.findById(req.session.userId).select("-password");
-    if (!user) return res.status(404).json({ error: "User not found" });
-
-    const transactions = await Transaction.find({ userId: user._id }).sort({ createdAt: -1 }).limit(200);
-    const membership = await Membership.findOne({ userId: user._id }).sort({ createdAt: -1 });
-
-    if (!user.balances) {
-      const legacy = Number(user.balance || 0) || 0;
-      user.balances = { BTC: 0, ETH: 0, USDT: legacy, BNB: 0, ADA: 0, USD: 0 };
-      user.save().catch(() => {});
-    }
-
-    res.json({
-      ok: true,
-      user: {
-        id: user._id,
-        username: user.username,
-        email: user.email,
-        balances: user.balances,
-        membership: membership ? membership.tier : null,
-        createdAt: user.createdAt,
-      },
-      transactions,
-    });
+    res.json({ ok: true, sessions: await sessions.list(req.session.userId, req.sessionID) });
   } catch (err) {
     res.status(500).json({ error: err.message });
   }
 });
 
-// ---------------- GET /api/balances ----------------
-app.get("/api/balances", needAuth, async (req, res) => {
-  try {
-    const user = await User.findById(req.session.userId).select("balances balance");
-    if (!user) return res.status(404).json({ error: "User not found" });
+const revokeSessionSpec = { summary: "Sign a device out", params: { id: v.string({ max: 64 }) } };
 
-    if (!user.balances) {
-      const legacy = Number(user.balance || 0) || 0;
-      user.balances = { BTC: 0, ETH: 0, USDT: legacy, BNB: 0, ADA: 0, USD: 0 };
-      user.save().catch(() => {});
+app.delete("/api/sessions/:id", needAuth, validate(revokeSessionSpec), async (req, res) => {
+  try {
+    // revoking this very session is a logout; destroying it in the store alone would let
+    // express-session save it again at the end of the request
+    if (req.params.id === publicSessionId(req.sessionID)) {
+      return req.session.destroy((err) => {
+        if (err) return res.status(500).json({ error: "Logout failed" });
+        res.clearCookie("connect.sid", { path: "/" });
+        res.json({ ok: true, loggedOut: true });
+      });
     }
 
-    return res.json({ ok: true, balances: user.balances });
+    const ok = await sessions.revoke(req.session.userId, req.params.id);
+    if (!ok) return res.status(404).json({ error: "Session not found" });
+    res.json({ ok: true });
   } catch (err) {
-    return res.status(500).json({ error: "Could not load balances" });
+    res.status(500).json({ error: err.message });
   }
 });
 
-// ---------------- NEW: GET /api/total-usd (FIXES BALANCE DIFFERENCE) ----------------
-app.get("/api/total-usd", needAuth, async (req, res) => {
-  try {
-    const user = await User.findById(req.session.userId).select("balances").lean();
-    if (!user || !user.balances) {
-      return res.json({ ok: true, totalUSD: 0, breakdown: {} });
-    }
+// ---------------- Password reset ----------------
+// both routes answer the same way whether or not the email has an account, and the reset
+// email is sent after the response so timing doesn't give it away either
+const resetTokenTtlMs = () => Number(process.env.PASSWORD_RESET_MINUTES ?? 30) * 60 * 1000;
+const RESET_REQUESTED = "If that email belongs to an account, a reset link is on its way.";
+
+async function sendResetLink(user, ip) {
+  const token = newToken();
+  // a new link replaces any earlier unused one
+  await PasswordReset.deleteMany({ userId: user._id, usedAt: null });
+  await PasswordReset.create({ userId: user._id, tokenHash: hashToken(token), expiresAt: new Date(Date.now() + resetTokenTtlMs()), ip });
+  await sendMail({
+    to: user.email,
+    subject: "Reset your password",
+    text:
+      `Hi ${user.username},\n\nSomeone asked to reset the password for your account. To choose a new one, open:\n` +
+      `${appLink(`/reset-password.html?token=${token}`)}\n\n` +
+      `The link works once and expires in ${Math.round(resetTokenTtlMs() / 60000)} minutes. If you didn't ask for this, ignore this email.`,
+  });
+}
 
-    const balances = user.balances;
-    const coins = ["BTC", "ETH", "BNB", "ADA", "USDT", "USD"];
-    const cgMap = {
-      BTC: "bitcoin",
-      ETH: "ethereum",
-      BNB: "binancecoin",
-      ADA: "cardano",
-      USDT: "tether",
-    };
+app.post("/api/forgot-password", validate({ summary: "Email a password reset link", body: { email: v.email() } }), async (req, res) => {
+  try {
+    const { email } = req.body;
 
-    const url =
-      "https://api.coingecko.com/api/v3/simple/price?ids=" +
-      Object.values(cgMap).join(",") +
-      "&vs_currencies=usd";
+    const event = { ...requestInfo(req), account: email };
+    const throttled = await loginGuard.checkPasswordReset({ ip: req.ip, event });
+    if (throttled) return sendBlocked(res, throttled);
 
-    const priceRes = await fetch(url, { headers: { "User-Agent": "Mozilla/5.0" } });
-    const prices = await priceRes.json();
+    const user = await User.findOne({ email }).collation(CASE_INSENSITIVE).select("username email").lean();
+    res.json({ ok: true, message: RESET_REQUESTED });
 
-    let totalUSD = 0;
-    let breakdown = {};
+    logSecurityEvent("PASSWORD_RESET_REQUESTED", { ...event, userId: user?._id || null, meta: { known: Boolean(user) } });
+    if (user) sendResetLink(user, req.ip).catch((err) => console.error("Password reset email not sent:", err.message));
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
 
-    for (const coin of coins) {
-      const amount = Number(balances[coin] || 0);
-      if (amount <= 0) continue;
+// { token, password } - sets the password and signs the account out everywhere
+const resetPasswordSpec = { summary: "Set a new password with an emailed token", body: { token: v.string({ max: 200 }), password: NEW_PASSWORD } };
 
-      let usdValue = 0;
+app.post("/api/reset-password", validate(resetPasswordSpec), async (req, res) => {
+  try {
+    const { token, password } = req.body;
+
+    // claiming the token first makes it single-use even under concurrent requests
+    const reset = await PasswordReset.findOneAndUpdate(
+      { tokenHash: hashToken(token), usedAt: null, expiresAt: { $gt: new Date() } },
+      { $set: { usedAt: new Date() } },
+      { new: true }
+    );
+    if (!reset) return res.status(400).json({ error: "Reset link is invalid or has expired" });
+
+    const user = await User.findById(reset.userId);
+    if (!user) return res.status(400).json({ error: "Reset link is invalid or has expired" });
+    user.password = await bcrypt.hash(password, 10);
+    await user.save();
 
-      if (coin === "USD") usdValue = amount;
-      else if (coin === "USDT") usdValue = amount;
-      else {
-        const cgId = cgMap[coin];
-        const rate = prices[cgId]?.usd || 0;
-        usdValue = amount * rate;
-      }
+    // other outstanding links die with this one; lockouts from the forgotten password are lifted
+    await PasswordReset.deleteMany({ userId: user._id, usedAt: null });
+    await loginGuard.succeeded({ accountKey: accountKey(user) });
+    const revoked = await sessions.revokeAll(user._id);
+    // this request's session was one of them; don't let express-session save it back logged in
+    if (req.session?.userId === String(user._id)) {
+      delete req.session.userId;
+      delete req.session.username;
+    }
 
-      breakdown[coin] = Number(usdValue.toFixed(6));
-      totalUSD += usdValue;
+    logSecurityEvent("PASSWORD_RESET", { ...requestInfo(req), userId: user._id, account: user.username, meta: { revokedSessions: revoked } });
+    if (user.email) {
+      sendMail({
+        to: user.email,
+        subject: "Your password was changed",
+        text: `Hi ${user.username},\n\nThe password for your account was just reset and every device was signed out. If this wasn't you, contact support right away.`,
+      }).catch((err) => console.error("Password change notice not sent:", err.message));
     }
 
-    res.json({
-      ok: true,
-      totalUSD: Number(totalUSD.toFixed(6)),
-      breakdown,
-    });
+    res.json({ ok: true, revokedSessions: revoked });
   } catch (err) {
-    res.status(500).json({ ok: false, error: "Failed to calculate total USD" });
+    res.status(500).json({ error: err.message });
   }
 });
 
-// ------------------------------------------------------------------------------------
-// (Remaining admin sections + payout cron remain unchanged from your server.js)
-// ------------------------------------------------------------------------------------
-
-app.get("/api/admin/users", requireAdmin, async (req, res) => {
+// ---------------- 2FA settings ----------------
+app.get("/api/2fa", needAuth, validate({ summary: "2FA status" }), async (req, res) => {
   try {
-    const users = await User.find().select("-password");
-    res.json({ ok: true, users });
+    const user = await User.findById(req.session.userId).select("+twoFactor");
+    if (!user) return res.status(404).json({ error: "User not found" });
+
+    const tf = user.twoFactor || {};
+    res.json({
+      ok: true,
+      enabled: Boolean(tf.enabled),
+      pending: Boolean(tf.pendingSecret),
+      recoveryCodesLeft: tf.recoveryCodes?.length || 0,
+    });
   } catch (err) {
     res.status(500).json({ error: err.message });
   }
 });
 
-app.get("/api/admin/pending-deposits", requireAdmin, async (req, res) => {
+// { enabled: true } starts enrollment (confirm with /api/2fa/confirm);
+// { enabled: false, code } turns 2FA off with a TOTP or recovery code
+const set2faSpec = {
+  summary: "Start 2FA enrollment, or turn 2FA off",
+  body: { enabled: v.boolean().default(false), code: v.string({ max: 32 }).optional() },
+};
+
+app.post("/api/set-2fa", needAuth, validate(set2faSpec), async (req, res) => {
   try {
-    const pending = await Transaction.find({ type: "DEPOSIT", status: "PENDING" }).populate("userId", "username email");
-    res.json({ ok: true, pending });
+    const user = await User.findById(req.session.userId).select("+twoFactor");
+    if (!user) return res.status(404).json({ error: "User not found" });
+    const { enabled } = req.body;
+
+    if (enabled) {
+      if (user.twoFactor?.enabled) return res.status(400).json({ error: "2FA is already enabled" });
+
+      const secret = totp.generateSecret();
+      await User.updateOne({ _id: user._id }, { $set: { "twoFactor.pendingSecret": secret } });
+
+      const otpauthUrl = totp.provisioningUri(secret, user.email || user.username);
+      return res.json({ ok: true, pending: true, secret, otpauthUrl, qr: await totp.qrDataUrl(otpauthUrl) });
+    }
+
+    if (!user.twoFactor?.enabled) {
+      await User.updateOne({ _id: user._id }, { $set: { "twoFactor.pendingSecret": null } });
+      return res.json({ ok: true, enabled: false });
+    }
+
+    if (!(await checkSecondFactor(user, req.body.code, { allowRecovery: true }))) {
+      return res.status(401).json({ error: "A valid 2FA code is required to disable 2FA" });
+    }
+
+    await User.updateOne(
+      { _id: user._id },
+      {
+        $set: {
+          "twoFactor.enabled": false,
+          "twoFactor.secret": null,
+          "twoFactor.pendingSecret": null,
+          "twoFactor.recoveryCodes": [],
+          "twoFactor.enabledAt": null,
+        },
+      }
+    );
+    res.json({ ok: true, enabled: false });
   } catch (err) {
     res.status(500).json({ error: err.message });
   }
 });
 
-app.get("/api/admin/pending-withdraws", requireAdmin, async (req, res) => {
+// confirms enrollment with a code from the app; recovery codes are only ever shown here
+app.post("/api/2fa/confirm", needAuth, validate({ summary: "Finish 2FA enrollment", body: { code: v.string({ max: 16 }) } }), async (req, res) => {
   try {
-    const pending = await Transaction.find({ type: "WITHDRAW", status: "PENDING" }).populate("userId", "username email");
-    res.json({ ok: true, pending });
+    const user = await User.findById(req.session.userId).select("+twoFactor");
+    if (!user) return res.status(404).json({ error: "User not found" });
+
+    const secret = user.twoFactor?.pendingSecret;
+    if (!secret) return res.status(400).json({ error: "No 2FA enrollment in progress" });
+
+    const step = totp.verifyCode(secret, req.body.code);
+    if (step === null) return res.status(400).json({ error: "Invalid 2FA code" });
+
+    const recoveryCodes = totp.generateRecoveryCodes();
+    await User.updateOne(
+      { _id: user._id },
+      {
+        $set: {
+          "twoFactor.enabled": true,
+          "twoFactor.secret": secret,
+          "twoFactor.pendingSecret": null,
+          "twoFactor.lastStep": step,
+          "twoFactor.recoveryCodes": recoveryCodes.map(totp.hashRecoveryCode),
+          "twoFactor.enabledAt": new Date(),
+        },
+      }
+    );
+
+    res.json({ ok: true, enabled: true, recoveryCodes });
   } catch (err) {
     res.status(500).json({ error: err.message });
   }
 });
 
-app.get("/api/admin/all-transactions", requireAdmin, async (req, res) => {
+// replaces all recovery codes; needs a current TOTP code
+app.post("/api/2fa/recovery-codes", needAuth, validate({ summary: "Replace the recovery codes", body: TOTP }), requireFreshTotp, async (req, res) => {
   try {
-    const tx = await Transaction.find().sort({ createdAt: -1 }).populate("userId", "username email");
-    res.json({ ok: true, tx });
+    const recoveryCodes = totp.generateRecoveryCodes();
+    const r = await User.updateOne(
+      { _id: req.session.userId, "twoFactor.enabled": true },
+      { $set: { "twoFactor.recoveryCodes": recoveryCodes.map(totp.hashRecoveryCode) } }
+    );
+    if (r.matchedCount !== 1) return res.status(400).json({ error: "2FA is not enabled" });
+    res.json({ ok: true, recoveryCodes });
   } catch (err) {
     res.status(500).json({ error: err.message });
   }
 });
 
-app.post("/api/admin/approve-deposit", requireAdmin, async (req, res) => {
+// ---------------- Internal Transfer ----------------
+const transferSpec = {
+  summary: "Send coins to another user by username",
+  body: { recipient: v.string({ max: 30 }), coin: COIN, amount: v.amount(), ...TOTP },
+};
+
+app.post("/api/internal-transfer", needAuth, validate(transferSpec), idempotent(), requireFreshTotp, async (req, res) => {
   try {
-    const { txId } = req.body;
-    if (!txId) return res.status(400).json({ error: "txId required" });
+    const { recipient, coin } = req.body;
 
-    const tx = await Transaction.findById(txId);
-    if (!tx) return res.status(404).json({ error: "Transaction not found" });
-    if (tx.type !== "DEPOSIT") return res.status(400).json({ error: "Not a deposit" });
-    if (tx.status === "CONFIRMED") return res.json({ ok: true, message: "Already confirmed" });
+    if (!assets.canTransfer(coin))
+      return res.status(400).json({ error: "Unsupported coin" });
 
-    tx.status = "CONFIRMED";
-    await tx.save();
+    const amount = money.parseAmount(coin, req.body.amount);
 
-    const user = await User.findById(tx.userId);
-    if (!user) return res.status(404).json({ error: "User not found for tx" });
+    const sender = await User.findById(req.session.userId);
+    if (!sender) return res.status(404).json({ error: "Sender not found" });
 
-    user.balances = user.balances || { BTC: 0, ETH: 0, USDT: 0, BNB: 0, ADA: 0, USD: 0 };
+    if (sender.username === recipient)
+      return res.status(400).json({ error: "You cannot transfer to yourself" });
 
-    if (tx.meta?.isMembership && tx.meta.membershipTier) {
-      const tcfg = TIERS[tx.meta.membershipTier];
-      if (!tcfg) {
-        user.balances[tx.coin] += tx.amount;
-        await user.save();
-        return res.json({ ok: true, message: "Confirmed as normal deposit" });
-      }
+    if (money.cmp(money.toString(sender.balances?.[coin]), amount) < 0)
+      return res.status(400).json({ error: "Insufficient balance" });
 
-      await Membership.create({
-        userId: tx.userId,
-        tier: tx.meta.membershipTier,
-        startDate: new Date(),
-        status: "ACTIVE",
-        durationDays: tcfg.duration,
-        daysPaid: 0,
-        dailyAmount: tcfg.daily,
-        bonusAtMonthEnd: tcfg.bonus,
-        bonusPaid: false,
-      });
+    const receiver = await User.findOne({ username: recipient });
+    if (!receiver) return res.status(404).json({ error: "Recipient not found" });
 
-      user.membership = tx.meta.membershipTier;
-      user.membershipActivatedAt = new Date();
-      await user.save();
-      return res.json({ ok: true, membershipActivated: true });
+    // one journal moves both sides and writes both logs; the debit only applies if the
+    // sender still has the funds
+    await ledger.move(
+      {
+        kind: "TRANSFER",
+        from: ledger.userAccount(sender._id),
+        to: ledger.userAccount(receiver._id),
+        coin,
+        amount,
+        meta: { from: sender.username, to: receiver.username },
+      },
+      (session) =>
+        Transaction.create(
+          [
+            {
+              userId: sender._id,
+              type: "TRANSFER",
+              coin,
+              amount,
+              status: "CONFIRMED",
+              meta: { direction: "SENT", to: receiver.username },
+            },
+            {
+              userId: receiver._id,
+              type: "TRANSFER",
+              coin,
+              amount,
+              status: "CONFIRMED",
+              meta: { direction: "RECEIVED", from: sender.username },
+            },
+          ],
+          { session, ordered: true }
+        )
+    );
+
+    return res.json({ ok: true, message: "Transfer successful" });
+
+  } catch (err) {
+    if (err.code === "INSUFFICIENT_FUNDS") return res.status(400).json({ error: "Insufficient balance" });
+    if (err instanceof money.MoneyError) return fieldError(res, "amount", err.message);
+    console.error("Internal transfer error:", err);
+    return res.status(500).json({ error: err.message || "Transfer failed" });
+  }
+});
+
+// ---------------- Deposit ----------------
+// creates a PENDING Deposit + DEPOSIT transaction; an admin confirms it via /api/admin/approve-deposit
+// amount is required unless the deposit pays for a membership tier (which sets the price:
+// the tier's, or the difference when it upgrades the active membership - see memberships.js).
+// Plan prices are USD; paid in another coin they are converted at the current quote.
+const depositSpec = {
+  summary: "Open a deposit (or a membership payment) and get the address to pay",
+  body: {
+    coin: COIN,
+    amount: v.amount().optional(),
+    isMembership: v.boolean().default(false),
+    membershipTier: v.string({ pattern: tiers.TIER_ID_PATTERN, uppercase: true, message: "membershipTier is not a membership plan" }).optional(),
+  },
+};
+
+app.post("/api/deposit", needAuth, validate(depositSpec), idempotent(), async (req, res) => {
+  try {
+    const { coin, isMembership, membershipTier } = req.body;
+    let amount;
+    let upgradeFrom = null;
+    let planVersion = null;
+    let priceUsd = null;
+
+    const address = assets.canDeposit(coin) && Object.hasOwn(DEPOSIT_ADDRESSES, coin) ? DEPOSIT_ADDRESSES[coin] : null;
+    if (!address) return res.status(400).json({ error: "Deposits not available for this coin" });
+
+    if (isMembership) {
+      if (!membershipTier) return fieldError(res, "membershipTier", "membershipTier is required");
+      const q = await memberships.quote(await memberships.activeMembership(req.session.userId), membershipTier);
+      upgradeFrom = q.upgradeFrom;
+      planVersion = q.tier.version;
+      // at-par coins don't need the price service
+      const quotes = atPar(coin) ? {} : (await getQuotes()).quotes;
+      amount = money.parseAmount(coin, fromUsd(coin, q.price, quotes));
+      priceUsd = q.price;
+
+      // one open payment per plan version (and membership it upgrades); hand back the existing
+      // one instead of creating a duplicate
+      const open = await Transaction.findOne({
+        userId: req.session.userId,
+        type: "DEPOSIT",
+        status: "PENDING",
+        "meta.isMembership": true,
+        "meta.membershipTier": membershipTier,
+        "meta.planVersion": planVersion,
+        "meta.upgradeFrom": upgradeFrom,
+      });
+      if (open) {
+        return res.json({ ok: true, txId: open._id, coin: open.coin, amount: open.amount, address: open.meta.address, status: open.status });
+      }
+    } else {
+      if (!req.body.amount) return fieldError(res, "amount", "amount is required");
+      amount = money.parseAmount(coin, req.body.amount);
     }
 
-    user.balances[tx.coin] += tx.amount;
-    await user.save();
+    const deposit = await Deposit.create({
+      userId: req.session.userId,
+      coin,
+      amount_expected: amount,
+      address,
+      status: "PENDING",
+    });
 
-    return res.json({ ok: true });
+    const meta = { depositId: deposit._id, address };
+    if (isMembership) Object.assign(meta, { isMembership: true, membershipTier, planVersion, upgradeFrom, priceUsd });
+
+    const tx = await Transaction.create({
+      userId: req.session.userId,
+      type: "DEPOSIT",
+      coin,
+      amount,
+      status: "PENDING",
+      meta,
+    });
+
+    res.json({ ok: true, txId: tx._id, depositId: deposit._id, coin, amount, address, status: tx.status });
   } catch (err) {
-    res.status(500).json({ error: err.message });
+    if (err instanceof money.MoneyError) return fieldError(res, "amount", err.message);
+    if (err instanceof memberships.MembershipError) return res.status(409).json({ error: err.message, code: err.code });
+    if (err instanceof PriceError) return res.status(503).json({ error: "Prices unavailable; try again later", code: "NO_PRICE" });
+    console.error("Deposit error:", err);
+    res.status(500).json({ error: err.message || "Deposit failed" });
   }
 });
 
-app.post("/api/admin/approve-withdraw", requireAdmin, async (req, res) => {
+app.post("/api/verify-payment", needAuth, validate({ summary: "Status of a deposit", body: { txId: v.objectId() } }), async (req, res) => {
   try {
-    const { txId, tx_hash } = req.body;
-    if (!txId) return res.status(400).json({ error: "txId required" });
+    const { txId } = req.body;
 
-    const tx = await Transaction.findById(txId);
+    const tx = await Transaction.findOne({ _id: txId, userId: req.session.userId, type: "DEPOSIT" }).lean();
     if (!tx) return res.status(404).json({ error: "Transaction not found" });
-    if (tx.type !== "WITHDRAW") return res.status(400).json({ error: "Not a withdraw" });
-    if (tx.status === "CONFIRMED") return res.json({ ok: true, message: "Already confirmed" });
-
-    const user = await User.findById(tx.userId);
-    if (!user) return res.status(404).json({ error: "User not found" });
 
-    const current = Number(user.balances[tx.coin] || 0);
-    if (tx.amount > current) {
-      tx.status = "DECLINED";
-      await tx.save();
-      return res.status(400).json({ error: "Insufficient user balance to approve withdraw" });
-    }
+    const deposit = tx.meta?.depositId ? await Deposit.findById(tx.meta.depositId).lean() : null;
 
-    tx.status = "CONFIRMED";
-    tx.meta = { ...(tx.meta || {}), tx_hash };
-    await tx.save();
+    res.json({
+      ok: true,
+      txId: tx._id,
+      status: tx.status,
+      coin: tx.coin,
+      amount: tx.amount,
+      address: tx.meta?.address || deposit?.address || null,
+      amountReceived: money.toString(deposit?.amount_received),
+      confirmations: deposit?.confirmations || 0,
+      tx_hash: deposit?.tx_hash || null,
+      membershipTier: tx.meta?.membershipTier || null,
+    });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
 
-    user.balances[tx.coin] = current - tx.amount;
-    await user.save();
+// ---------------- Membership ----------------
+// tiers are the plan catalog in tiers.js (managed under /api/admin/membership-plans); the
+// purchase, upgrade and cancellation rules are in memberships.js. A tier is bought (or upgraded
+// to) through /api/deposit with isMembership.
+const MEMBERSHIP_HISTORY_LIMIT = 50;
 
-    return res.json({ ok: true });
+app.get("/api/membership/tiers", validate({ summary: "Membership tiers on sale and their terms" }), async (req, res) => {
+  try {
+    res.json({ ok: true, coin: PAYOUT_COIN, tiers: (await tiers.listTiers()).map(tiers.publicTier) });
   } catch (err) {
     res.status(500).json({ error: err.message });
   }
 });
 
-app.post("/api/admin/decline-transaction", requireAdmin, async (req, res) => {
+app.get("/api/membership", needAuth, validate({ summary: "Active membership, what it will still pay, open payments and history" }), async (req, res) => {
   try {
-    const { txId } = req.body;
-    const tx = await Transaction.findById(txId);
-    if (!tx) return res.status(404).json({ error: "Transaction not found" });
-    tx.status = "DECLINED";
-    await tx.save();
-    return res.json({ ok: true });
+    const userId = req.session.userId;
+    const active = await memberships.activeMembership(userId);
+    const [past, pending] = await Promise.all([
+      Membership.find({ userId, status: { $ne: "ACTIVE" } }).sort({ startDate: -1 }).limit(MEMBERSHIP_HISTORY_LIMIT).lean(),
+      Transaction.find({ userId, type: "DEPOSIT", status: "PENDING", "meta.isMembership": true }).sort({ createdAt: -1 }).lean(),
+    ]);
+
+    res.json({
+      ok: true,
+      coin: PAYOUT_COIN,
+      active: active ? memberships.view(active) : null,
+      // what each tier costs this user right now (the difference, for an upgrade)
+      offers: await memberships.offers(active),
+      pendingPayments: pending.map((tx) => ({
+        txId: tx._id,
+        tier: tx.meta.membershipTier,
+        coin: tx.coin,
+        amount: tx.amount,
+        priceUsd: tx.meta.priceUsd ?? null,
+        planVersion: tx.meta.planVersion ?? null,
+        upgrade: Boolean(tx.meta.upgradeFrom),
+        createdAt: tx.createdAt,
+      })),
+      history: past.map(memberships.view),
+    });
   } catch (err) {
     res.status(500).json({ error: err.message });
   }
 });
 
-// ---------------- User transaction history (for frontend) ----------------
-app.get("/api/transactions", needAuth, async (req, res) => {
+app.post("/api/membership/cancel", needAuth, validate({ summary: "Cancel the active membership", body: TOTP }), requireFreshTotp, async (req, res) => {
   try {
-    const tx = await Transaction.find({ userId: req.session.userId })
-      .sort({ createdAt: -1 })
-      .lean();
+    const cancelled = await memberships.cancel(req.session.userId);
+    if (!cancelled) return res.status(404).json({ error: "No active membership" });
+    res.json({ ok: true, membership: memberships.view(cancelled) });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// ---------------- Payment methods ----------------
+// saved withdrawal destinations; new ones wait PAYMENT_METHOD_COOLDOWN_HOURS before they can be used
+const MAX_PAYMENT_METHODS = 20;
+const paymentMethodCooldownMs = () => Number(process.env.PAYMENT_METHOD_COOLDOWN_HOURS ?? 24) * 60 * 60 * 1000;
+
+const paymentMethodView = (m) => ({
+  id: m._id,
+  coin: m.coin,
+  network: m.network,
+  networkLabel: NETWORKS[m.network]?.label || m.network,
+  address: m.address,
+  label: m.label,
+  usableAfter: m.usableAfter,
+  usable: m.usableAfter <= new Date(),
+  createdAt: m.createdAt,
+});
 
-    res.json({ ok: true, transactions: tx });
+app.get("/api/payment-methods", needAuth, validate({ summary: "Saved withdrawal destinations" }), async (req, res) => {
+  try {
+    const user = await User.findById(req.session.userId).select("withdrawWhitelist").lean();
+    if (!user) return res.status(404).json({ error: "User not found" });
+    const methods = await PaymentMethod.find({ userId: req.session.userId }).sort({ createdAt: -1 }).lean();
+    res.json({
+      ok: true,
+      methods: methods.map(paymentMethodView),
+      whitelist: Boolean(user.withdrawWhitelist),
+      networks: Object.fromEntries(
+        Object.entries(NETWORKS)
+          .map(([n, v]) => [n, { label: v.label, coins: v.coins.filter(assets.canWithdraw) }])
+          .filter(([, v]) => v.coins.length)
+      ),
+      cooldownHours: paymentMethodCooldownMs() / 3600000,
+    });
   } catch (err) {
-    console.error("Transactions load error:", err);
-    res.status(500).json({ error: "Unable to load transactions" });
+    res.status(500).json({ error: err.message });
   }
 });
 
+// { coin, network?, address, label? } - the network is detected from the address when left out
+const NETWORK = v.oneOf(Object.keys(NETWORKS));
 
+const addPaymentMethodSpec = {
+  summary: "Save a withdrawal destination",
+  body: { coin: COIN, network: NETWORK.optional(), address: v.string({ max: 128 }), label: v.string({ max: 60 }).optional(), ...TOTP },
+};
 
+app.post("/api/payment-methods", needAuth, validate(addPaymentMethodSpec), requireFreshTotp, async (req, res) => {
+  try {
+    const { coin, address } = req.body;
+    const label = req.body.label || null;
 
+    if (!assets.canWithdraw(coin)) return res.status(400).json({ error: "Withdrawals not available for this coin" });
+    const problem = addressProblem(coin, address, req.body.network || null);
+    if (problem) return fieldError(res, "address", problem);
+    const network = req.body.network || detectNetwork(coin, address);
 
-// ---------------- Unknown API routes ----------------
-app.use("/api/*", (req, res) => res.status(404).json({ error: "API endpoint not found" }));
+    if ((await PaymentMethod.countDocuments({ userId: req.session.userId })) >= MAX_PAYMENT_METHODS) {
+      return res.status(400).json({ error: `At most ${MAX_PAYMENT_METHODS} payment methods` });
+    }
 
-// ---------------- Static fallback ----------------
-app.use((req, res) => {
+    const method = await PaymentMethod.create({
+      userId: req.session.userId,
+      coin,
+      network,
+      address,
+      label,
+      usableAfter: new Date(Date.now() + paymentMethodCooldownMs()),
+    });
+    await logSecurityEvent("PAYMENT_METHOD_ADDED", {
+      ...requestInfo(req),
+      userId: req.session.userId,
+      meta: { methodId: method._id, coin, network, address },
+    });
+
+    res.json({ ok: true, method: paymentMethodView(method) });
+  } catch (err) {
+    if (err.code === 11000) return res.status(409).json({ error: "This address is already saved" });
+    res.status(500).json({ error: err.message });
+  }
+});
+
+app.delete("/api/payment-methods/:id", needAuth, validate({ summary: "Remove a saved destination", params: idParam }), async (req, res) => {
+  try {
+    const method = await PaymentMethod.findOneAndDelete({ _id: req.params.id, userId: req.session.userId }).lean();
+    if (!method) return res.status(404).json({ error: "Payment method not found" });
+
+    await logSecurityEvent("PAYMENT_METHOD_REMOVED", {
+      ...requestInfo(req),
+      userId: req.session.userId,
+      meta: { methodId: method._id, coin: method.coin, network: method.network, address: method.address },
+    });
+    res.json({ ok: true });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// { enabled } - with whitelist mode on, withdrawals only go to saved, cooled-off methods
+const whitelistSpec = { summary: "Turn whitelist mode on or off", body: { enabled: v.boolean(), ...TOTP } };
+
+app.post("/api/payment-methods/whitelist", needAuth, validate(whitelistSpec), requireFreshTotp, async (req, res) => {
+  try {
+    const { enabled } = req.body;
+    await User.updateOne({ _id: req.session.userId }, { $set: { withdrawWhitelist: enabled } });
+    await logSecurityEvent(enabled ? "WHITELIST_ENABLED" : "WHITELIST_DISABLED", { ...requestInfo(req), userId: req.session.userId });
+    res.json({ ok: true, whitelist: enabled });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// ---------------- Withdraw ----------------
+// USD value withdrawn (or waiting to be) in the current KYC limit window
+async function withdrawnUsd(userId, quotes) {
+  const recent = await Transaction.find({
+    userId,
+    type: "WITHDRAW",
+    status: { $in: ["PENDING", "AWAITING_SECOND_APPROVAL", "CONFIRMED"] },
+    createdAt: { $gte: new Date(Date.now() - kyc.WITHDRAW_LIMIT_WINDOW_MS) },
+  })
+    .select("coin amount")
+    .lean();
+  return money.add(...recent.map((t) => toUsd(t.coin, t.amount, quotes, { strict: true })));
+}
+
+// one withdrawal request per user at a time, so parallel ones can't each pass the limit check
+// before the other's hold exists. The lease runs out by itself if a request dies holding it.
+const WITHDRAW_LEASE_MS = 30 * 1000;
+
+// resolves the lease's expiry, or null when another request holds it
+async function claimWithdrawLease(userId) {
+  const now = new Date();
+  const until = new Date(now.getTime() + WITHDRAW_LEASE_MS);
+  const r = await User.updateOne(
+    { _id: userId, $or: [{ withdrawLeaseUntil: null }, { withdrawLeaseUntil: { $lte: now } }] },
+    { $set: { withdrawLeaseUntil: until } }
+  );
+  return r.matchedCount === 1 ? until : null;
+}
+
+// only our own lease; one that ran out may belong to the next request by now
+const releaseWithdrawLease = (userId, until) =>
+  User.updateOne({ _id: userId, withdrawLeaseUntil: until }, { $set: { withdrawLeaseUntil: null } }).catch((err) =>
+    console.error("Withdraw lease release error:", err)
+  );
+
+// finds the user's saved method for a withdrawal; { error, status } when it can't be used
+async function withdrawDestination(userId, coin, { methodId, address, network }) {
+  const q = methodId ? { _id: methodId, userId } : { userId, coin, address, ...(network ? { network } : {}) };
+  const method = await PaymentMethod.findOne(q).sort({ usableAfter: 1 }).lean();
+  if (!method) {
+    return methodId
+      ? { status: 404, error: "Payment method not found" }
+      : { status: 403, error: "Whitelist mode is on: withdraw to one of your saved payment methods" };
+  }
+  if (method.coin !== coin) return { status: 400, error: `That payment method is for ${method.coin}` };
+  if (method.usableAfter > new Date()) {
+    return { status: 403, error: "This payment method is still in its cooling-off period", usableAfter: method.usableAfter };
+  }
+  return { method };
+}
+
+// creates a PENDING WITHDRAW and moves the amount into lockedBalances until an admin decides;
+// the destination is either { methodId } (a saved payment method) or { address, network? }
+const withdrawSpec = {
+  summary: "Request a withdrawal to a saved method or an address",
+  body: {
+    coin: COIN,
+    amount: v.amount(),
+    methodId: v.objectId().optional(),
+    address: v.string({ max: 128 }).optional(),
+    network: NETWORK.optional(),
+    ...TOTP,
+  },
+};
+
+app.post("/api/withdraw", needAuth, validate(withdrawSpec), idempotent(), requireFreshTotp, async (req, res) => {
+  try {
+    const { coin, methodId } = req.body;
+    let address = req.body.address || "";
+    let network = req.body.network || null;
+
+    if (!assets.canWithdraw(coin)) return res.status(400).json({ error: "Unsupported coin" });
+    const amount = money.parseAmount(coin, req.body.amount);
+
+    const user = await User.findById(req.session.userId).select("kyc withdrawWhitelist").lean();
+    if (!user) return res.status(404).json({ error: "User not found" });
+
+    let method = null;
+    if (!methodId) {
+      const problem = addressProblem(coin, address, network);
+      if (problem) return fieldError(res, "address", problem === "Address required" ? "Invalid wallet address" : problem);
+      network ||= detectNetwork(coin, address);
+    }
+    if (methodId || user.withdrawWhitelist) {
+      // match on the network only if the client named one; the detected one is just a guess
+      const dest = await withdrawDestination(req.session.userId, coin, { methodId, address, network: req.body.network || null });
+      if (dest.error) return res.status(dest.status).json({ error: dest.error, usableAfter: dest.usableAfter });
+      ({ method } = dest);
+      ({ address, network } = method);
+    }
+
+    const lease = await claimWithdrawLease(req.session.userId);
+    if (!lease) {
+      res.set("Retry-After", "1");
+      return res.status(409).json({ error: "Another withdrawal is being processed; try again", code: "WITHDRAW_IN_PROGRESS" });
+    }
+    try {
+      // rolling 24h limit by KYC status; verified users get the higher one
+      const kycStatus = user?.kyc?.status || "NONE";
+      const limitUsd = kyc.withdrawLimitUsd(kycStatus);
+      const { quotes } = await getQuotes();
+      const usedUsd = await withdrawnUsd(req.session.userId, quotes);
+      if (money.cmp(money.add(usedUsd, toUsd(coin, amount, quotes, { strict: true })), limitUsd) > 0) {
+        return res.status(403).json({
+          error: kycStatus === "APPROVED"
+            ? "Daily withdrawal limit reached"
+            : "Withdrawal exceeds the limit for unverified accounts. Complete ID verification to raise it.",
+          kycStatus,
+          limitUsd,
+          usedUsd: Number(money.round(usedUsd, 2)),
+        });
+      }
+
+      const txId = new mongoose.Types.ObjectId();
+      const { result: tx } = await ledger.move(
+        {
+          kind: "WITHDRAW_HOLD",
+          from: ledger.userAccount(req.session.userId),
+          to: ledger.heldAccount(req.session.userId),
+          coin,
+          amount,
+          txId,
+        },
+        async (session) => {
+          const [created] = await Transaction.create(
+            [{
+              _id: txId,
+              userId: req.session.userId,
+              type: "WITHDRAW",
+              coin,
+              amount,
+              status: "PENDING",
+              meta: { address, network, paymentMethodId: method?._id || null, held: true },
+            }],
+            { session }
+          );
+          return created;
+        }
+      );
+
+      res.json({ ok: true, txId: tx._id, status: tx.status, coin, amount, address, network });
+    } finally {
+      await releaseWithdrawLease(req.session.userId, lease);
+    }
+  } catch (err) {
+    if (err.code === "INSUFFICIENT_FUNDS") return res.status(400).json({ error: "Insufficient balance" });
+    if (err instanceof money.MoneyError) return fieldError(res, "amount", err.message);
+    // without a price the limit can't be checked
+    if (err instanceof PriceError) return res.status(503).json({ error: "Prices unavailable; try again later", code: "NO_PRICE" });
+    console.error("Withdraw error:", err);
+    res.status(500).json({ error: err.message || "Withdraw failed" });
+  }
+});
+
+// ---------------- KYC ----------------
+app.get("/api/verify-id", needAuth, validate({ summary: "ID verification status and withdrawal limit" }), async (req, res) => {
+  try {
+    const user = await User.findById(req.session.userId).select("kyc").lean();
+    if (!user) return res.status(404).json({ error: "User not found" });
+    const status = user.kyc?.status || "NONE";
+    res.json({
+      ok: true,
+      kyc: { status, reason: user.kyc?.reason || null, submittedAt: user.kyc?.submittedAt || null, reviewedAt: user.kyc?.reviewedAt || null },
+      withdrawLimitUsd: kyc.withdrawLimitUsd(status),
+    });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// multipart: front, back, selfie (JPEG/PNG/WebP); one open submission per user
+app.post("/api/verify-id", needAuth, kyc.kycUpload(), validate({ summary: "Submit ID documents", files: kyc.KYC_SIDES }), async (req, res) => {
+  const storage = kyc.kycStorage();
+  const saved = [];
+  let claimed = null;
+  try {
+    const uploads = kyc.readUploads(req.files);
+
+    const now = new Date();
+    claimed = await User.findOneAndUpdate(
+      { _id: req.session.userId, "kyc.status": { $nin: ["PENDING", "APPROVED"] } },
+      { $set: { kyc: { status: "PENDING", reason: null, submittedAt: now, reviewedAt: null } } },
+      { new: false, projection: { kyc: 1 }, lean: true }
+    );
+    if (!claimed) {
+      const user = await User.findById(req.session.userId).select("kyc").lean();
+      if (!user) return res.status(404).json({ error: "User not found" });
+      return res.status(409).json({ error: user.kyc.status === "APPROVED" ? "Already verified" : "Verification already in review" });
+    }
+
+    const submissionId = new mongoose.Types.ObjectId();
+    const files = {};
+    for (const side of kyc.KYC_SIDES) {
+      const u = uploads[side];
+      const key = kyc.storageKey(req.session.userId, submissionId, side, u.ext);
+      await storage.save(key, u.buffer);
+      saved.push(key);
+      files[side] = { key, mimeType: u.mimeType, size: u.size, sha256: u.sha256 };
+    }
+    await KycSubmission.create({ _id: submissionId, userId: req.session.userId, files });
+
+    res.json({ ok: true, status: "PENDING" });
+  } catch (err) {
+    // put the user back where they were and drop any stored documents
+    if (claimed) await User.updateOne({ _id: req.session.userId }, { $set: { kyc: claimed.kyc || {} } }).catch(() => {});
+    for (const key of saved) await storage.remove(key).catch(() => {});
+    if (err instanceof kyc.KycError) return fieldError(res, err.field, err.message);
+    console.error("KYC upload error:", err);
+    res.status(500).json({ error: "Upload failed" });
+  }
+});
+
+// ---------------- Support tickets ----------------
+const TICKET_SUBJECT_MAX = 120;
+const TICKET_MESSAGE_MAX = 2000;
+const MAX_OPEN_TICKETS = 10;
+const TICKET_MESSAGE = v.string({ max: TICKET_MESSAGE_MAX });
+
+// what the user sees: support staff are not named
+const userTicketView = (t, { thread = false } = {}) => ({
+  id: t._id,
+  subject: t.subject,
+  status: t.status,
+  txId: t.txId,
+  createdAt: t.createdAt,
+  lastMessageAt: t.lastMessageAt,
+  messageCount: t.messages.length,
+  ...(thread ? { messages: t.messages.map((m) => ({ author: m.author, body: m.body, at: m.at })) } : {}),
+});
+
+// { subject, message, txId? } - txId links the ticket to one of the user's transactions
+const newTicketSpec = {
+  summary: "Open a support ticket",
+  body: { subject: v.string({ max: TICKET_SUBJECT_MAX }), message: TICKET_MESSAGE, txId: v.objectId().optional() },
+};
+
+app.post("/api/support", needAuth, validate(newTicketSpec), async (req, res) => {
+  try {
+    const { subject, message } = req.body;
+
+    let txId = null;
+    if (req.body.txId) {
+      const tx = await Transaction.exists({ _id: req.body.txId, userId: req.session.userId });
+      if (!tx) return res.status(404).json({ error: "Transaction not found" });
+      txId = tx._id;
+    }
+
+    const open = await SupportTicket.countDocuments({ userId: req.session.userId, status: { $ne: "RESOLVED" } });
+    if (open >= MAX_OPEN_TICKETS) return res.status(429).json({ error: "Too many open tickets; reply to an existing one instead" });
+
+    const ticket = await SupportTicket.create({
+      userId: req.session.userId,
+      subject,
+      txId,
+      messages: [{ author: "USER", body: message }],
+    });
+    res.json({ ok: true, ticket: userTicketView(ticket, { thread: true }) });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+app.get("/api/support", needAuth, validate({ summary: "Your support tickets" }), async (req, res) => {
+  try {
+    const tickets = await SupportTicket.find({ userId: req.session.userId }).sort({ lastMessageAt: -1 }).limit(100).lean();
+    res.json({ ok: true, tickets: tickets.map((t) => userTicketView(t)) });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+app.get("/api/support/:id", needAuth, validate({ summary: "One ticket with its thread", params: idParam }), async (req, res) => {
+  try {
+    const ticket = await SupportTicket.findOne({ _id: req.params.id, userId: req.session.userId }).lean();
+    if (!ticket) return res.status(404).json({ error: "Ticket not found" });
+    res.json({ ok: true, ticket: userTicketView(ticket, { thread: true }) });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// a user reply puts the ticket back in the support queue, resolved or not
+const ticketReplySpec = { summary: "Reply to your ticket", params: idParam, body: { message: TICKET_MESSAGE } };
+
+app.post("/api/support/:id/reply", needAuth, validate(ticketReplySpec), async (req, res) => {
+  try {
+    const { message } = req.body;
+
+    const now = new Date();
+    const ticket = await SupportTicket.findOneAndUpdate(
+      { _id: req.params.id, userId: req.session.userId },
+      { $push: { messages: { author: "USER", body: message, at: now } }, $set: { status: "OPEN", lastMessageAt: now } },
+      { new: true, lean: true }
+    );
+    if (!ticket) return res.status(404).json({ error: "Ticket not found" });
+    res.json({ ok: true, ticket: userTicketView(ticket, { thread: true }) });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// ---------------- Profile ----------------
+app.get("/api/profile", needAuth, validate({ summary: "Account, balances, membership and latest transactions" }), async (req, res) => {
+  try {
+    await ledger.adoptLegacyBalance(req.session.userId);
+    const user = await User.findById(req.session.userId).select("-password");
+    if (!user) return res.status(404).json({ error: "User not found" });
+
+    // latest page only; older ones come from /api/transactions?cursor=
+    const { transactions, nextCursor } = await history.findPage(history.parseTxQuery({ limit: 20 }, { userId: user._id }));
+    const membership = await memberships.activeMembership(user._id);
+
+    res.json({
+      ok: true,
+      user: {
+        id: user._id,
+        username: user.username,
+        email: user.email,
+        balances: user.balances,
+        lockedBalances: user.lockedBalances,
+        membership: membership ? memberships.view(membership) : null,
+        createdAt: user.createdAt,
+      },
+      transactions,
+      nextCursor,
+    });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// ---------------- Profile editing ----------------
+// usernames are how /api/internal-transfer finds recipients, so they are unique regardless of
+// case and can only change once per USERNAME_CHANGE_DAYS; emails change only once confirmed
+const BIO_MAX = 280;
+const DAY = 24 * 60 * 60 * 1000;
+const usernameCooldownMs = () => Number(process.env.USERNAME_CHANGE_DAYS ?? 30) * DAY;
+const emailTokenTtlMs = () => Number(process.env.EMAIL_TOKEN_HOURS ?? 24) * 60 * 60 * 1000;
+
+// another account already using `field` = value, ignoring case
+const takenBy = (field, value, userId) =>
+  User.findOne({ [field]: value, _id: { $ne: userId } }).collation(CASE_INSENSITIVE).select("_id").lean();
+
+const usernameChangeAvailableAt = (user) =>
+  user.usernameChangedAt ? new Date(user.usernameChangedAt.getTime() + usernameCooldownMs()) : null;
+
+const profileView = (user) => ({
+  username: user.username,
+  email: user.email || null,
+  bio: user.bio || "",
+  pendingEmail: user.pendingEmail?.expiresAt > new Date() ? user.pendingEmail.email : null,
+  usernameChangeAvailableAt: usernameChangeAvailableAt(user),
+});
+
+app.get("/api/user-profile", needAuth, validate({ summary: "Editable profile fields" }), async (req, res) => {
+  try {
+    const user = await User.findById(req.session.userId).select("username email bio usernameChangedAt +pendingEmail").lean();
+    if (!user) return res.status(404).json({ error: "User not found" });
+    res.json({ ok: true, ...profileView(user) });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// { username?, email?, bio? } - unchanged fields are ignored; a new email is only stored as
+// pending and a confirmation link goes to that address
+// an empty bio clears it
+const updateProfileSpec = {
+  summary: "Change username, email (after confirmation) or bio",
+  body: { username: USERNAME.optional(), email: v.email().optional(), bio: v.string({ max: BIO_MAX, allowEmpty: true }).optional() },
+};
+
+app.post("/api/update-profile", needAuth, validate(updateProfileSpec), async (req, res) => {
+  try {
+    const user = await User.findById(req.session.userId).select("+pendingEmail");
+    if (!user) return res.status(404).json({ error: "User not found" });
+    const { username: newUsername, email: normalized, bio } = req.body;
+    const now = new Date();
+
+    if (bio != null) user.bio = bio;
+
+    const oldUsername = user.username;
+    if (newUsername && newUsername !== oldUsername) {
+      const availableAt = usernameChangeAvailableAt(user);
+      if (availableAt && availableAt > now) {
+        return res.status(429).json({ error: "Username was changed recently", retryAt: availableAt });
+      }
+      if (await takenBy("username", newUsername, user._id)) return res.status(409).json({ error: "Username taken" });
+      user.username = newUsername;
+      user.usernameChangedAt = now;
+    }
+
+    let newEmail = null;
+    let token = null;
+    if (normalized && normalized !== (user.email || "").toLowerCase()) {
+      if (await takenBy("email", normalized, user._id)) return res.status(409).json({ error: "Email already in use" });
+      newEmail = normalized;
+      token = newToken();
+      user.pendingEmail = { email: newEmail, tokenHash: hashToken(token), expiresAt: new Date(now.getTime() + emailTokenTtlMs()) };
+    }
+
+    try {
+      await user.save();
+    } catch (err) {
+      // lost a race for the same username
+      if (err.code === 11000) return res.status(409).json({ error: "Username taken" });
+      throw err;
+    }
+
+    if (user.username !== oldUsername) {
+      req.session.username = user.username;
+      logSecurityEvent("USERNAME_CHANGED", { ...requestInfo(req), userId: user._id, account: user.username, meta: { from: oldUsername, to: user.username } });
+    }
+
+    if (newEmail) {
+      try {
+        await sendMail({
+          to: newEmail,
+          subject: "Confirm your new email address",
+          text:
+            `Hi ${user.username},\n\nConfirm this address for your account by opening:\n` +
+            `${appLink(`/profile.html?emailToken=${token}`)}\n\n` +
+            `The link expires in ${Math.round(emailTokenTtlMs() / 3600000)} hours. If you didn't ask for this, ignore this email.`,
+        });
+      } catch (err) {
+        console.error("Email confirmation not sent:", err.message);
+        return res.status(502).json({ error: "Profile saved, but the confirmation email could not be sent; try again", ...profileView(user) });
+      }
+      logSecurityEvent("EMAIL_CHANGE_REQUESTED", { ...requestInfo(req), userId: user._id, account: user.username, meta: { to: newEmail } });
+    }
+
+    res.json({ ok: true, emailConfirmationSent: Boolean(newEmail), ...profileView(user) });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// { token } from the confirmation link; works without a session since the link may be opened elsewhere
+app.post("/api/confirm-email", validate({ summary: "Confirm a new email address", body: { token: v.string({ max: 200 }) } }), async (req, res) => {
+  try {
+    const { token } = req.body;
+
+    const tokenHash = hashToken(token);
+    const user = await User.findOne({ "pendingEmail.tokenHash": tokenHash }).select("username email +pendingEmail").lean();
+    if (!user || !(user.pendingEmail.expiresAt > new Date())) return res.status(400).json({ error: "Link is invalid or has expired" });
+
+    const { email } = user.pendingEmail;
+    if (await takenBy("email", email, user._id)) return res.status(409).json({ error: "Email already in use" });
+
+    // matching on the token hash makes the link single-use even if it is opened twice at once
+    let updated;
+    try {
+      updated = await User.findOneAndUpdate(
+        { _id: user._id, "pendingEmail.tokenHash": tokenHash },
+        { $set: { email, pendingEmail: {} } },
+        { new: true }
+      );
+    } catch (err) {
+      if (err.code === 11000) return res.status(409).json({ error: "Email already in use" });
+      throw err;
+    }
+    if (!updated) return res.status(400).json({ error: "Link is invalid or has expired" });
+
+    logSecurityEvent("EMAIL_CHANGED", { ...requestInfo(req), userId: user._id, account: user.username, meta: { from: user.email || null, to: email } });
+    if (user.email) {
+      sendMail({
+        to: user.email,
+        subject: "Your email address was changed",
+        text: `Hi ${user.username},\n\nThe email on your account was changed to ${email}. If this wasn't you, contact support right away.`,
+      }).catch((err) => console.error("Email change notice not sent:", err.message));
+    }
+
+    res.json({ ok: true, email });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// ---------------- GET /api/balances ----------------
+app.get("/api/balances", needAuth, validate({ summary: "Available and held balances" }), async (req, res) => {
+  try {
+    await ledger.adoptLegacyBalance(req.session.userId);
+    const user = await User.findById(req.session.userId).select("balances lockedBalances");
+    if (!user) return res.status(404).json({ error: "User not found" });
+
+    return res.json({ ok: true, balances: user.balances, locked: user.lockedBalances });
+  } catch (err) {
+    return res.status(500).json({ error: "Could not load balances" });
+  }
+});
+
+// ---------------- Assets ----------------
+// the registry as the frontend needs it: coin pickers, wallet cards, deposit/withdraw forms
+app.get("/api/assets", validate({ summary: "Supported coins and networks" }), (req, res) => {
+  res.json({
+    ok: true,
+    assets: assets.ASSETS.map((a) => ({ ...assets.publicAsset(a), depositAvailable: Boolean(DEPOSIT_ADDRESSES[a.symbol]) })),
+  });
+});
+
+// ---------------- Prices ----------------
+// single source of USD quotes for every page; ?coins=BTC,ETH narrows the result
+const pricesSpec = {
+  summary: "USD quotes",
+  query: { coins: v.list(Object.keys(PRICE_IDS), { uppercase: true }).optional() },
+};
+
+app.get("/api/prices", validate(pricesSpec), async (req, res) => {
+  try {
+    const { quotes, source, updatedAt, stale } = await getQuotes();
+    const wanted = req.query.coins || Object.keys(quotes);
+
+    const prices = {};
+    for (const coin of wanted) {
+      if (quotes[coin]) prices[coin] = { id: PRICE_IDS[coin], ...quotes[coin] };
+    }
+    res.json({ ok: true, prices, source, updatedAt, stale });
+  } catch (err) {
+    res.status(503).json({ ok: false, error: "Prices unavailable" });
+  }
+});
+
+// ---------------- Chart ----------------
+// /api/chart/:coin?range=7D|days=7&interval=1h&format=csv
+// coin is a symbol or CoinGecko id; `prices` ([time, close] pairs) is kept for simple line charts
+const chartSpec = {
+  summary: "Price candles for a coin",
+  params: { coin: v.string({ max: 40 }) },
+  query: {
+    range: v.oneOf(Object.keys(candles.RANGES), { uppercase: true }).optional(),
+    days: v.number({ min: 0.01, max: 366 }).optional(),
+    interval: v.oneOf(Object.keys(candles.INTERVALS)).optional(),
+    format: v.oneOf(["json", "csv"]).optional(),
+  },
+};
+
+app.get("/api/chart/:coin", validate(chartSpec), async (req, res) => {
+  try {
+    const coin = candles.resolveCoin(req.params.coin);
+    if (!coin) return res.status(404).json({ error: "Unknown coin" });
+
+    const days = req.query.range ? candles.RANGES[req.query.range] : req.query.days || 1;
+    const interval = req.query.interval || candles.defaultInterval(days);
+    const to = new Date();
+    const from = new Date(to.getTime() - days * 24 * 60 * 60 * 1000);
+    const rows = await candles.getCandles(coin, { from, to, interval });
+
+    if (req.query.format === "csv") {
+      res.setHeader("Content-Type", "text/csv");
+      res.setHeader("Content-Disposition", `attachment; filename="${coin}-${interval}-${from.toISOString().slice(0, 10)}.csv"`);
+      return res.send(candles.candlesToCsv(rows));
+    }
+
+    res.json({ ok: true, coin, interval, from, to, candles: rows, prices: rows.map((c) => [c.t, c.close]) });
+  } catch (err) {
+    if (err instanceof candles.ChartError) return fieldError(res, err.field, err.message);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// ---------------- GET /api/total-usd ----------------
+app.get("/api/total-usd", needAuth, validate({ summary: "Balances valued in USD" }), async (req, res) => {
+  try {
+    const user = await User.findById(req.session.userId).select("balances").lean();
+    if (!user || !user.balances) {
+      return res.json({ ok: true, totalUSD: 0, breakdown: {} });
+    }
+
+    const { quotes, source, updatedAt, stale } = await getQuotes();
+
+    // summed exactly; only the figures sent out are Numbers
+    let totalUSD = "0";
+    let breakdown = {};
+
+    for (const coin of ledger.COINS) {
+      const amount = money.toString(user.balances[coin]);
+      if (!money.isPositive(amount)) continue;
+
+      const usdValue = toUsd(coin, amount, quotes);
+      breakdown[coin] = money.toNumber(usdValue);
+      totalUSD = money.add(totalUSD, usdValue);
+    }
+
+    res.json({
+      ok: true,
+      totalUSD: money.toNumber(totalUSD),
+      breakdown,
+      pricesAt: updatedAt,
+      pricesSource: source,
+      stale,
+    });
+  } catch (err) {
+    res.status(500).json({ ok: false, error: "Failed to calculate total USD" });
+  }
+});
+
+// ------------------------------------------------------------------------------------
+// Admin sections (membership payouts live in payouts.js)
+// ------------------------------------------------------------------------------------
+
+// admins have their own accounts (see admins.js) and sign in on the same session cookie
+const adminLoginSpec = { summary: "Admin sign-in", body: { username: v.string({ max: 64 }), password: PASSWORD } };
+
+app.post("/api/admin/login", validate(adminLoginSpec), async (req, res) => {
+  try {
+    const { username, password } = req.body;
+
+    const key = `admin:${username.toLowerCase()}`;
+    const event = { ...requestInfo(req), account: key };
+    const blocked = await loginGuard.check({ ip: req.ip, accountKey: key, event });
+    if (blocked) return sendBlocked(res, blocked);
+
+    const admin = await admins.verifyLogin(username, password);
+    if (!admin) {
+      await loginGuard.failed({ ip: req.ip, accountKey: key, event });
+      return res.status(401).json({ error: "Invalid login" });
+    }
+
+    await loginGuard.succeeded({ accountKey: key });
+    await Admin.updateOne({ _id: admin._id }, { $set: { lastLoginAt: new Date() } });
+    await logSecurityEvent("ADMIN_LOGIN", { ...event, meta: { adminId: admin._id, role: admin.role } });
+    req.session.adminId = admin._id.toString();
+
+    res.json({ ok: true, admin: { username: admin.username, role: admin.role } });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// leaves a user login on the same browser alone
+app.post("/api/admin/logout", validate({ summary: "Admin sign-out" }), (req, res) => {
+  delete req.session.adminId;
+  res.json({ ok: true });
+});
+
+app.get("/api/admin/me", requireAdmin("read"), validate({ summary: "The signed-in admin and their permissions" }), (req, res) => {
+  const { username, role } = req.admin;
+  res.json({ ok: true, admin: { username, role, permissions: admins.PERMISSIONS[role] } });
+});
+
+app.get("/api/admin/users", requireAdmin("read"), validate({ summary: "All users" }), async (req, res) => {
+  try {
+    const users = await User.find().select("-password");
+    res.json({ ok: true, users });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+app.get("/api/admin/pending-deposits", requireAdmin("read"), validate({ summary: "Deposits waiting for approval" }), async (req, res) => {
+  try {
+    const pending = await Transaction.find({ type: "DEPOSIT", status: "PENDING" }).populate("userId", "username email");
+    res.json({ ok: true, pending });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+app.get("/api/admin/pending-withdraws", requireAdmin("read"), validate({ summary: "Withdrawals waiting for approval" }), async (req, res) => {
+  try {
+    const pending = await Transaction.find({ type: "WITHDRAW", status: { $in: withdrawals.OPEN_STATUSES } })
+      .sort({ createdAt: 1 })
+      .populate("userId", "username email");
+    res.json({ ok: true, pending });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// paginated like /api/transactions, plus ?userId=
+const adminTxQuery = (req, userId = req.query.userId) =>
+  history.parseTxQuery(req.query, userId ? { userId: new mongoose.Types.ObjectId(userId) } : {});
+
+const ADMIN_TX_QUERY = { ...history.TX_QUERY, userId: v.objectId().optional() };
+const EXPORT_FORMAT = { format: v.oneOf(["csv", "json"]).default("csv") };
+
+app.get("/api/admin/all-transactions", requireAdmin("read"), validate({ summary: "All transactions, paginated", query: ADMIN_TX_QUERY }), async (req, res) => {
+  try {
+    const { transactions, nextCursor } = await history.findPage(adminTxQuery(req), { populate: "username email" });
+    res.json({ ok: true, tx: transactions, nextCursor });
+  } catch (err) {
+    if (err instanceof history.TxQueryError) return fieldError(res, err.field, err.message);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+const userTxSpec = { summary: "One user's transactions, paginated", params: { userId: v.objectId() }, query: history.TX_QUERY };
+
+app.get("/api/admin/user-transactions/:userId", requireAdmin("read"), validate(userTxSpec), async (req, res) => {
+  try {
+    const { transactions, nextCursor } = await history.findPage(adminTxQuery(req, req.params.userId));
+    res.json({ ok: true, transactions, nextCursor });
+  } catch (err) {
+    if (err instanceof history.TxQueryError) return fieldError(res, err.field, err.message);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+const adminExportSpec = { summary: "Export matching transactions", query: { ...ADMIN_TX_QUERY, ...EXPORT_FORMAT } };
+
+app.get("/api/admin/transactions/export", requireAdmin("read"), validate(adminExportSpec), async (req, res) => {
+  try {
+    const { format } = req.query;
+    await history.streamExport(res, adminTxQuery(req), { format, filename: "all-transactions", withUser: true });
+  } catch (err) {
+    if (res.headersSent) return res.destroy(err);
+    if (err instanceof history.TxQueryError) return fieldError(res, err.field, err.message);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// move a transaction from one status to another exactly once; a second admin request racing
+// this one fails the claim and rolls back its journal
+function claimTx(txId, from, to, set = {}) {
+  return async (session) => {
+    const r = await Transaction.updateOne(
+      { _id: txId, status: from },
+      { $set: { status: to, ...set } },
+      { session }
+    );
+    if (r.matchedCount !== 1) throw new ledger.LedgerError("Transaction already processed", "ALREADY_PROCESSED");
+  };
+}
+
+// only an open transaction can be confirmed; a DECLINED or CANCELLED one stays that way
+const confirmOnce = (txId, set) => claimTx(txId, "PENDING", "CONFIRMED", set);
+
+// the answer when a claim lost: fine if the other request confirmed it, a conflict otherwise
+async function sendAlreadyProcessed(res, txId) {
+  try {
+    const current = await Transaction.findById(txId).select("status").lean();
+    if (current?.status === "CONFIRMED") return res.json({ ok: true, message: "Already confirmed" });
+    res.status(409).json({ error: `Transaction is ${current?.status || "gone"}`, code: "ALREADY_PROCESSED" });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+}
+
+// audit entry for an admin action on `tx` (the document as loaded before the change)
+async function auditTx(req, action, tx, meta = {}) {
+  const after = await Transaction.findById(tx._id).lean();
+  await recordAudit(action, {
+    ...requestInfo(req),
+    admin: req.admin,
+    userId: tx.userId,
+    txId: tx._id,
+    before: txState(tx),
+    after: txState(after),
+    meta,
+  });
+}
+
+const TX_ID_BODY = { txId: v.objectId() };
+
+app.post("/api/admin/approve-deposit", requireAdmin("deposits:approve"), validate({ summary: "Approve a deposit", body: TX_ID_BODY }), idempotent(), async (req, res) => {
+  try {
+    const { txId } = req.body;
+
+    const tx = await Transaction.findById(txId);
+    if (!tx) return res.status(404).json({ error: "Transaction not found" });
+    if (tx.type !== "DEPOSIT") return res.status(400).json({ error: "Not a deposit" });
+    if (tx.status === "CONFIRMED") return res.json({ ok: true, message: "Already confirmed" });
+    if (tx.status !== "PENDING") return res.status(400).json({ error: `Cannot approve a ${tx.status} deposit` });
+
+    const user = await User.findById(tx.userId).select("_id");
+    if (!user) return res.status(404).json({ error: "User not found for tx" });
+
+    const markDeposit = (session) =>
+      tx.meta?.depositId
+        ? Deposit.updateOne(
+            { _id: tx.meta.depositId },
+            { $set: { status: "CONFIRMED", amount_received: tx.amount } },
+            { session }
+          )
+        : null;
+
+    const approved = { "meta.approvedBy": admins.stamp(req.admin) };
+    // a membership payment starts its tier, ending the membership it upgrades; one that can't
+    // (unknown tier, or the user's plan changed meanwhile) is credited like any deposit below
+    const plan = tx.meta?.isMembership ? await memberships.paymentPlan(tx) : null;
+    if (plan) {
+      // confirming the payment, ending the plan it upgrades and starting the new one go together
+      const membership = await memberships.approvePayment(tx, plan, { approvedBy: approved["meta.approvedBy"] });
+      await auditTx(req, "DEPOSIT_APPROVED", tx, {
+        membershipTier: plan.tier.id,
+        membershipId: membership._id,
+        upgradedFrom: plan.replaces?._id || null,
+      });
+      return res.json({ ok: true, membershipActivated: true, upgraded: Boolean(plan.replaces) });
+    }
+
+    const { journalId } = await ledger.move(
+      {
+        kind: "DEPOSIT",
+        from: ledger.SYSTEM.DEPOSITS,
+        to: ledger.userAccount(tx.userId),
+        coin: tx.coin,
+        amount: tx.amount,
+        txId: tx._id,
+      },
+      async (session) => {
+        await confirmOnce(tx._id, approved)(session);
+        await markDeposit(session);
+      }
+    );
+    await auditTx(req, "DEPOSIT_APPROVED", tx, { journalId });
+
+    if (tx.meta?.isMembership) return res.json({ ok: true, message: "Confirmed as normal deposit" });
+    return res.json({ ok: true });
+  } catch (err) {
+    if (err.code === "ALREADY_PROCESSED") return sendAlreadyProcessed(res, req.body.txId);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+const approveWithdrawSpec = {
+  summary: "Approve a withdrawal (large ones need two admins)",
+  body: { ...TX_ID_BODY, tx_hash: v.string({ max: 200 }).optional() },
+};
+
+app.post("/api/admin/approve-withdraw", requireAdmin("withdraws:approve"), validate(approveWithdrawSpec), idempotent(), async (req, res) => {
+  try {
+    const { txId, tx_hash } = req.body;
+
+    const tx = await Transaction.findById(txId);
+    if (!tx) return res.status(404).json({ error: "Transaction not found" });
+    if (tx.type !== "WITHDRAW") return res.status(400).json({ error: "Not a withdraw" });
+    if (tx.status === "CONFIRMED") return res.json({ ok: true, message: "Already confirmed" });
+
+    const user = await User.findById(tx.userId).select("_id");
+    if (!user) return res.status(404).json({ error: "User not found" });
+
+    // four-eyes: above the coin's threshold the first approval only moves it to AWAITING_SECOND_APPROVAL
+    const step = withdrawals.approvalStep(tx, req.admin);
+    const approved = { "meta.approvedBy": admins.stamp(req.admin) };
+    if (step.to === "AWAITING_SECOND_APPROVAL") {
+      await claimTx(tx._id, step.from, step.to, {
+        "meta.firstApproval": approved["meta.approvedBy"],
+        ...(tx_hash ? { "meta.tx_hash": tx_hash } : {}),
+      })(null);
+      await auditTx(req, "WITHDRAW_FIRST_APPROVAL", tx, { threshold: withdrawals.secondApprovalThresholds()[tx.coin] });
+      return res.json({ ok: true, awaitingSecondApproval: true });
+    }
+    const awaiting = step.from === "AWAITING_SECOND_APPROVAL";
+    // withdrawals from /api/withdraw already hold the funds; approving just pays the hold out
+    const held = Boolean(tx.meta?.held);
+    const txHash = tx_hash || tx.meta?.tx_hash;
+
+    let journalId;
+    try {
+      ({ journalId } = await ledger.move(
+        {
+          kind: "WITHDRAW",
+          from: held ? ledger.heldAccount(tx.userId) : ledger.userAccount(tx.userId),
+          to: ledger.SYSTEM.WITHDRAWALS,
+          coin: tx.coin,
+          amount: tx.amount,
+          txId: tx._id,
+          meta: { tx_hash: txHash, approvedBy: approved["meta.approvedBy"], firstApproval: tx.meta?.firstApproval },
+        },
+        claimTx(tx._id, step.from, step.to, { "meta.tx_hash": txHash, ...approved })
+      ));
+    } catch (err) {
+      // only withdrawals created without a hold can come up short at approval time
+      if (err.code !== "INSUFFICIENT_FUNDS" || held) throw err;
+      tx.status = "DECLINED";
+      const before = txState(tx);
+      tx.meta = { ...tx.meta, declinedBy: admins.stamp(req.admin) };
+      await tx.save();
+      await recordAudit("WITHDRAW_DECLINED", {
+        ...requestInfo(req),
+        admin: req.admin,
+        userId: tx.userId,
+        txId: tx._id,
+        before,
+        after: txState(tx),
+        meta: { reason: "insufficient_funds" },
+      });
+      return res.status(400).json({ error: "Insufficient user balance to approve withdraw" });
+    }
+
+    await auditTx(req, "WITHDRAW_APPROVED", tx, { journalId, tx_hash: txHash, secondApproval: awaiting });
+    return res.json({ ok: true });
+  } catch (err) {
+    if (err.code === "ALREADY_PROCESSED") return sendAlreadyProcessed(res, req.body.txId);
+    if (err.code === "NOT_OPEN") return res.status(400).json({ error: err.message });
+    if (err.code === "SAME_ADMIN") return res.status(409).json({ error: err.message });
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// declining needs the approve permission for that kind of transaction
+const DECLINE_PERMISSIONS = { DEPOSIT: "deposits:approve", WITHDRAW: "withdraws:approve" };
+
+app.post("/api/admin/decline-transaction", requireAdmin("read"), validate({ summary: "Decline an open transaction", body: TX_ID_BODY }), idempotent(), async (req, res) => {
+  try {
+    const { txId } = req.body;
+    const tx = await Transaction.findById(txId);
+    if (!tx) return res.status(404).json({ error: "Transaction not found" });
+
+    const permission = Object.hasOwn(DECLINE_PERMISSIONS, tx.type) ? DECLINE_PERMISSIONS[tx.type] : "transactions:decline";
+    if (!admins.can(req.admin.role, permission)) return res.status(403).json({ error: "Not allowed for your admin role" });
+    const declined = { "meta.declinedBy": admins.stamp(req.admin) };
+
+    // declining a held withdrawal hands the funds back to the available balance
+    if (tx.type === "WITHDRAW" && tx.meta?.held) {
+      if (!withdrawals.OPEN_STATUSES.includes(tx.status)) return res.status(400).json({ error: "Withdraw is not pending" });
+      const { journalId } = await ledger.move(
+        {
+          kind: "WITHDRAW_RELEASE",
+          from: ledger.heldAccount(tx.userId),
+          to: ledger.userAccount(tx.userId),
+          coin: tx.coin,
+          amount: tx.amount,
+          txId: tx._id,
+        },
+        claimTx(tx._id, tx.status, "DECLINED", declined)
+      );
+      await auditTx(req, "TRANSACTION_DECLINED", tx, { journalId });
+      return res.json({ ok: true });
+    }
+
+    if (!withdrawals.OPEN_STATUSES.includes(tx.status)) return res.status(400).json({ error: `Cannot decline a ${tx.status} transaction` });
+
+    await claimTx(tx._id, tx.status, "DECLINED", declined)(null);
+    if (tx.meta?.depositId) await Deposit.updateOne({ _id: tx.meta.depositId }, { $set: { status: "DECLINED" } });
+    await auditTx(req, "TRANSACTION_DECLINED", tx);
+    return res.json({ ok: true });
+  } catch (err) {
+    if (err.code === "ALREADY_PROCESSED") return res.status(409).json({ error: "Transaction already processed" });
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// ---------------- Security events ----------------
+// ?type=LOGIN_FAILED&userId=&account=&ip=&since=&limit=
+const securityEventsSpec = {
+  summary: "Security events, newest first",
+  query: {
+    type: v.string({ max: 64 }).optional(),
+    account: v.string({ max: 254 }).optional(),
+    ip: v.string({ max: 64 }).optional(),
+    userId: v.objectId().optional(),
+    since: v.date().optional(),
+    limit: PAGE_LIMIT,
+  },
+};
+
+app.get("/api/admin/security-events", requireAdmin("read"), validate(securityEventsSpec), async (req, res) => {
+  try {
+    const q = {};
+    for (const f of ["type", "account", "ip", "userId"]) if (req.query[f]) q[f] = req.query[f];
+    if (req.query.since) q.createdAt = { $gte: req.query.since };
+    const limit = Math.min(500, req.query.limit || 100);
+
+    const events = await SecurityEvent.find(q).sort({ createdAt: -1 }).limit(limit).lean();
+    res.json({ ok: true, events });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// ---------------- KYC review ----------------
+// ?status=PENDING (default) | APPROVED | REJECTED
+const kycQueueSpec = {
+  summary: "ID verification submissions",
+  query: { status: v.oneOf(["PENDING", "APPROVED", "REJECTED"], { uppercase: true }).default("PENDING") },
+};
+
+app.get("/api/admin/kyc", requireAdmin("kyc:review"), validate(kycQueueSpec), async (req, res) => {
+  try {
+    const { status } = req.query;
+    const submissions = await KycSubmission.find({ status })
+      .sort({ createdAt: 1 })
+      .limit(200)
+      .populate("userId", "username email kyc")
+      .lean();
+    res.json({ ok: true, submissions });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+const kycFileSpec = { summary: "One submitted document image", params: { ...idParam, side: v.oneOf(kyc.KYC_SIDES) } };
+
+app.get("/api/admin/kyc/:id/files/:side", requireAdmin("kyc:review"), validate(kycFileSpec), async (req, res) => {
+  try {
+    const sub = await KycSubmission.findById(req.params.id).lean();
+    if (!sub) return res.status(404).json({ error: "Submission not found" });
+    const file = sub.files[req.params.side];
+
+    const stream = await kyc.kycStorage().open(file.key);
+    res.set({ "Content-Type": file.mimeType, "Cache-Control": "no-store", "X-Content-Type-Options": "nosniff" });
+    stream.on("error", (err) => res.destroy(err));
+    stream.pipe(res);
+  } catch (err) {
+    if (err.code === "ENOENT") return res.status(404).json({ error: "Document missing from storage" });
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// { decision: "APPROVE" | "REJECT", reason } - a reason is required to reject and is shown to the user
+const kycDecisionSpec = {
+  summary: "Approve or reject a submission",
+  params: idParam,
+  body: { decision: v.oneOf(["APPROVE", "REJECT"], { uppercase: true }), reason: v.string({ max: 500 }).optional() },
+};
+
+app.post("/api/admin/kyc/:id/decision", requireAdmin("kyc:review"), validate(kycDecisionSpec), async (req, res) => {
+  try {
+    const { decision, reason = "" } = req.body;
+    if (decision === "REJECT" && !reason) return fieldError(res, "reason", "reason required to reject");
+
+    const status = decision === "APPROVE" ? "APPROVED" : "REJECTED";
+    const now = new Date();
+    const before = await KycSubmission.findOneAndUpdate(
+      { _id: req.params.id, status: "PENDING" },
+      { $set: { status, reason: reason || null, reviewedBy: admins.stamp(req.admin) } },
+      { new: false }
+    ).lean();
+    if (!before) return res.status(409).json({ error: "Submission already decided or not found" });
+
+    await User.updateOne(
+      { _id: before.userId },
+      { $set: { "kyc.status": status, "kyc.reason": status === "REJECTED" ? reason : null, "kyc.reviewedAt": now } }
+    );
+    await recordAudit(`KYC_${status}`, {
+      ...requestInfo(req),
+      admin: req.admin,
+      userId: before.userId,
+      before: { status: before.status },
+      after: { status, reason: reason || null },
+      meta: { submissionId: before._id },
+    });
+
+    res.json({ ok: true, status });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// ---------------- Support desk ----------------
+// ?status=OPEN&assigned=me|none|<adminId>&userId=&txId=&limit= (most recent activity first)
+const TICKET_STATUS = v.oneOf(TICKET_STATUSES, { uppercase: true });
+
+const supportQueueSpec = {
+  summary: "Support tickets, most recent activity first",
+  query: {
+    status: TICKET_STATUS.optional(),
+    assigned: v.string({ pattern: /^(me|none|[a-f\d]{24})$/i, message: "assigned must be me, none or an admin id" }).optional(),
+    userId: v.objectId().optional(),
+    txId: v.objectId().optional(),
+    limit: PAGE_LIMIT,
+  },
+};
+
+app.get("/api/admin/support", requireAdmin("read"), validate(supportQueueSpec), async (req, res) => {
+  try {
+    const q = {};
+    if (req.query.status) q.status = req.query.status;
+    if (req.query.assigned === "me") q.assignedTo = req.admin._id;
+    else if (req.query.assigned === "none") q.assignedTo = null;
+    else if (req.query.assigned) q.assignedTo = req.query.assigned;
+    for (const f of ["userId", "txId"]) if (req.query[f]) q[f] = req.query[f];
+    const limit = Math.min(200, req.query.limit || 50);
+
+    const tickets = await SupportTicket.find(q)
+      .sort({ lastMessageAt: -1 })
+      .limit(limit)
+      .select("-messages")
+      .populate("userId", "username email")
+      .populate("assignedTo", "username")
+      .lean();
+    res.json({ ok: true, tickets });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+app.get("/api/admin/support/:id", requireAdmin("read"), validate({ summary: "One ticket with user, transaction and thread", params: idParam }), async (req, res) => {
+  try {
+    const ticket = await SupportTicket.findById(req.params.id)
+      .populate("userId", "username email kyc")
+      .populate("assignedTo", "username")
+      .populate("txId")
+      .lean();
+    if (!ticket) return res.status(404).json({ error: "Ticket not found" });
+    res.json({ ok: true, ticket });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// { username } assigns to that admin, no body assigns to yourself, { unassign: true } clears it
+const assignTicketSpec = {
+  summary: "Assign a ticket",
+  params: idParam,
+  body: { username: v.string({ max: 64, lowercase: true }).optional(), unassign: v.boolean().default(false) },
+};
+
+app.post("/api/admin/support/:id/assign", requireAdmin("support:answer"), validate(assignTicketSpec), async (req, res) => {
+  try {
+    let assignee = req.admin;
+    if (req.body.unassign) assignee = null;
+    else if (req.body.username) {
+      assignee = await Admin.findOne({ username: req.body.username, active: true }).lean();
+      if (!assignee || !admins.can(assignee.role, "support:answer")) return res.status(400).json({ error: "No such support admin" });
+    }
+
+    const ticket = await SupportTicket.findByIdAndUpdate(
+      req.params.id,
+      { $set: { assignedTo: assignee?._id || null } },
+      { new: true, lean: true, projection: { messages: 0 } }
+    );
+    if (!ticket) return res.status(404).json({ error: "Ticket not found" });
+    res.json({ ok: true, ticket, assignedTo: assignee?.username || null });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// { message?, status? } - a reply waits on the user unless another status is given;
+// status alone (e.g. RESOLVED) closes a ticket without a message
+const adminReplySpec = {
+  summary: "Answer a ticket and/or change its status",
+  params: idParam,
+  body: { message: TICKET_MESSAGE.optional(), status: TICKET_STATUS.optional() },
+};
+
+app.post("/api/admin/support/:id/reply", requireAdmin("support:answer"), validate(adminReplySpec), async (req, res) => {
+  try {
+    const message = req.body.message || null;
+    const status = req.body.status || (message ? "AWAITING_USER" : null);
+    if (!status) return fieldError(res, "message", "message or status required");
+
+    const now = new Date();
+    const update = { $set: { status } };
+    if (message) {
+      update.$push = { messages: { author: "ADMIN", adminId: req.admin._id, adminUsername: req.admin.username, body: message, at: now } };
+      update.$set.lastMessageAt = now;
+    }
+    const ticket = await SupportTicket.findByIdAndUpdate(req.params.id, update, { new: true, lean: true, runValidators: true });
+    if (!ticket) return res.status(404).json({ error: "Ticket not found" });
+    // whoever answers an unassigned ticket picks it up
+    if (message && !ticket.assignedTo) await SupportTicket.updateOne({ _id: ticket._id, assignedTo: null }, { $set: { assignedTo: req.admin._id } });
+
+    res.json({ ok: true, ticket });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// one transaction with the support tickets raised about it
+app.get("/api/admin/transactions/:id", requireAdmin("read"), validate({ summary: "One transaction with its tickets", params: idParam }), async (req, res) => {
+  try {
+    const tx = await Transaction.findById(req.params.id).populate("userId", "username email").lean();
+    if (!tx) return res.status(404).json({ error: "Transaction not found" });
+    const tickets = await SupportTicket.find({ txId: tx._id }).sort({ lastMessageAt: -1 }).populate("assignedTo", "username").lean();
+    res.json({ ok: true, tx, tickets });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// ---------------- Audit trail ----------------
+// ?adminId=&admin=<username>&userId=&txId=&action=&from=&to=&limit=&beforeSeq= (newest first)
+const auditSpec = {
+  summary: "Audit trail, newest first",
+  query: {
+    adminId: v.objectId().optional(),
+    admin: v.string({ max: 64, lowercase: true }).optional(),
+    userId: v.objectId().optional(),
+    txId: v.objectId().optional(),
+    action: v.string({ max: 64 }).optional(),
+    from: v.date().optional(),
+    to: v.date().optional(),
+    limit: PAGE_LIMIT,
+    beforeSeq: v.integer({ min: 1 }).optional(),
+  },
+};
+
+app.get("/api/admin/audit", requireAdmin("read"), validate(auditSpec), async (req, res) => {
+  try {
+    const q = {};
+    for (const f of ["adminId", "userId", "txId", "action"]) if (req.query[f]) q[f] = req.query[f];
+    if (req.query.admin) q.adminUsername = req.query.admin;
+    if (req.query.from) (q.at ||= {}).$gte = req.query.from;
+    if (req.query.to) (q.at ||= {}).$lte = req.query.to;
+    if (req.query.beforeSeq) q.seq = { $lt: req.query.beforeSeq };
+    const limit = Math.min(500, req.query.limit || 100);
+
+    const entries = await AuditLog.find(q).sort({ seq: -1 }).limit(limit).lean();
+    res.json({ ok: true, entries, nextBeforeSeq: entries.length === limit ? entries[entries.length - 1].seq : null });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// ---------------- Membership payouts ----------------
+// for external schedulers (e.g. Vercel cron with CRON_SECRET); ?dryRun=1 previews without paying
+function requireCron(req, res, next) {
+  const secret = process.env.CRON_SECRET;
+  if (secret && req.headers.authorization === `Bearer ${secret}`) return next();
+  return requireAdmin("payouts:run")(req, res, next);
+}
+requireCron.apiSecurity = [{ cronSecret: [] }, { adminSession: ["payouts:run"] }];
+
+const payoutsSpec = {
+  summary: "Pay out what memberships are owed",
+  query: { dryRun: v.boolean().optional() },
+  body: { dryRun: v.boolean().optional() },
+};
+
+app.all("/api/cron/payouts", requireCron, validate(payoutsSpec), async (req, res) => {
+  try {
+    const dryRun = Boolean(req.query.dryRun ?? req.body.dryRun);
+    const summary = await runPayouts({ dryRun });
+    // cron-secret runs are the scheduler; admin-triggered runs are recorded
+    if (req.admin && !dryRun) {
+      const { checked, payouts, completed, skipped, errors } = summary;
+      await recordAudit("PAYOUTS_RUN", {
+        ...requestInfo(req),
+        admin: req.admin,
+        meta: { checked, paid: payouts.length, completed, skipped, errors: errors.length },
+      });
+    }
+    res.json({ ok: true, ...summary });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// ---------------- Membership plans ----------------
+// the plan catalog (tiers.js); changes need plans:manage. Changing a plan's terms makes a new version; memberships and open
+// payments keep the version they were priced at. Plans that have been bought can't be deleted,
+// only disabled. ?days= on /liability sets how far ahead "dueInWindow" looks (default 30).
+const PLAN_ID_FIELD = v.string({ max: 20, pattern: tiers.TIER_ID_PATTERN, uppercase: true }).describe("A-Z, 0-9, _ and -");
+const PLAN_ID = { tierId: PLAN_ID_FIELD };
+
+const PLAN_FIELDS = {
+  name: v.string({ max: 60 }),
+  rank: v.integer({ min: 1 }),
+  enabled: v.boolean(),
+  saleStartsAt: v.date({ allowEmpty: true }).describe("Empty to clear"),
+  saleEndsAt: v.date({ allowEmpty: true }).describe("Empty to clear"),
+  price: v.amount().describe("USD"),
+  dailyAmount: v.amount().describe("USD paid per day of the term"),
+  durationDays: v.integer({ min: 1 }),
+  bonus: v.amount({ allowZero: true }).describe("USD paid when the term is done"),
+};
+
+const createPlanSpec = {
+  summary: "Add a membership plan",
+  body: {
+    ...Object.fromEntries(Object.entries(PLAN_FIELDS).map(([name, f]) => [name, f.optional()])),
+    id: PLAN_ID_FIELD,
+    rank: PLAN_FIELDS.rank,
+    price: PLAN_FIELDS.price,
+    dailyAmount: PLAN_FIELDS.dailyAmount,
+    durationDays: PLAN_FIELDS.durationDays,
+  },
+};
+
+const updatePlanSpec = {
+  summary: "Change a membership plan (new terms make a new version)",
+  params: PLAN_ID,
+  body: {
+    ...Object.fromEntries(Object.entries(PLAN_FIELDS).map(([name, f]) => [name, f.optional()])),
+    version: v.integer({ min: 1 }).optional().describe("The version the change was made against; a newer one is a 409"),
+  },
+};
+
+function sendTierError(res, err) {
+  const status = { NOT_FOUND: 404, BAD_TIER: 400 }[err.code] || 409;
+  return res.status(status).json({ error: err.message, code: err.code });
+}
+
+app.get("/api/admin/membership-plans", requireAdmin("read"), validate({ summary: "Every membership plan, on sale or not" }), async (req, res) => {
+  try {
+    const now = new Date();
+    const plans = (await tiers.listTiers({ all: true, now })).map((t) => ({ ...t, onSale: tiers.onSale(t, now), totalReturn: tiers.totalReturn(t) }));
+    res.json({ ok: true, coin: PAYOUT_COIN, plans });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+const liabilitySpec = {
+  summary: "What the plans still have to pay out, per plan and version",
+  query: { days: v.integer({ min: 1, max: 366 }).default(30) },
+};
+
+app.get("/api/admin/membership-plans/liability", requireAdmin("read"), validate(liabilitySpec), async (req, res) => {
+  try {
+    res.json({ ok: true, ...(await memberships.liability({ days: req.query.days })) });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+app.get("/api/admin/membership-plans/:tierId", requireAdmin("read"), validate({ summary: "One plan and all its versions", params: PLAN_ID }), async (req, res) => {
+  try {
+    const plan = await tiers.tier(req.params.tierId);
+    if (!plan) return res.status(404).json({ error: "Plan not found" });
+    const [versions, activeMemberships] = await Promise.all([
+      tiers.versions(plan.id),
+      Membership.countDocuments({ tier: plan.id, status: "ACTIVE" }),
+    ]);
+    res.json({
+      ok: true,
+      coin: PAYOUT_COIN,
+      plan: { ...plan, onSale: tiers.onSale(plan), totalReturn: tiers.totalReturn(plan) },
+      activeMemberships,
+      versions,
+    });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+app.post("/api/admin/membership-plans", requireAdmin("plans:manage"), validate(createPlanSpec), async (req, res) => {
+  try {
+    const plan = await tiers.createTier(req.body, admins.stamp(req.admin));
+    await recordAudit("PLAN_CREATED", { ...requestInfo(req), admin: req.admin, after: plan, meta: { tierId: plan.id } });
+    res.json({ ok: true, plan });
+  } catch (err) {
+    if (err instanceof tiers.TierError) return sendTierError(res, err);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+app.put("/api/admin/membership-plans/:tierId", requireAdmin("plans:manage"), validate(updatePlanSpec), async (req, res) => {
+  try {
+    const { before, after } = await tiers.updateTier(req.params.tierId, req.body, admins.stamp(req.admin));
+    await recordAudit("PLAN_UPDATED", {
+      ...requestInfo(req),
+      admin: req.admin,
+      before,
+      after,
+      meta: { tierId: after.id, newVersion: after.version !== before.version },
+    });
+    res.json({ ok: true, plan: after });
+  } catch (err) {
+    if (err instanceof tiers.TierError) return sendTierError(res, err);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+app.delete("/api/admin/membership-plans/:tierId", requireAdmin("plans:manage"), validate({ summary: "Delete a plan nobody has bought", params: PLAN_ID }), async (req, res) => {
+  try {
+    const removed = await tiers.deleteTier(req.params.tierId);
+    await recordAudit("PLAN_DELETED", { ...requestInfo(req), admin: req.admin, before: removed, meta: { tierId: removed.id } });
+    res.json({ ok: true });
+  } catch (err) {
+    if (err instanceof tiers.TierError) return sendTierError(res, err);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// ---------------- Ledger audit ----------------
+// compare a user's stored balances with the ledger; POST .../rebuild overwrites them with the ledger view
+// (only for users whose pre-ledger balances are journaled - see migrate-opening-balances.js)
+const USER_ID_PARAM = { userId: v.objectId() };
+
+app.get("/api/admin/ledger/:userId", requireAdmin("read"), validate({ summary: "Stored balances vs. the ledger", params: USER_ID_PARAM }), async (req, res) => {
+  try {
+    const audit = await ledger.rebuildBalances(req.params.userId);
+    const accounts = [ledger.userAccount(req.params.userId), ledger.heldAccount(req.params.userId)];
+    const entries = await LedgerEntry.find({ account: { $in: accounts } })
+      .sort({ createdAt: -1 })
+      .limit(200)
+      .lean();
+
+    res.json({ ok: true, ...audit, entries });
+  } catch (err) {
+    if (err.code === "USER_NOT_FOUND") return res.status(404).json({ error: "User not found" });
+    res.status(500).json({ error: err.message });
+  }
+});
+
+app.post("/api/admin/ledger/:userId/rebuild", requireAdmin("ledger:rebuild"), validate({ summary: "Reset balances from the ledger", params: USER_ID_PARAM }), async (req, res) => {
+  try {
+    const audit = await ledger.rebuildBalances(req.params.userId, { apply: true });
+    if (audit.applied) {
+      await recordAudit("BALANCES_REBUILT", {
+        ...requestInfo(req),
+        admin: req.admin,
+        userId: req.params.userId,
+        before: audit.stored,
+        after: audit.ledger,
+        meta: { drift: audit.drift },
+      });
+    }
+    res.json({ ok: true, ...audit });
+  } catch (err) {
+    if (err.code === "NOT_OPENED") return res.status(409).json({ error: err.message, code: err.code });
+    if (err.code === "USER_NOT_FOUND") return res.status(404).json({ error: "User not found" });
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// ---------------- User transaction history (for frontend) ----------------
+// filters/sort/cursor as in tx-history.js; pass nextCursor back as ?cursor= for the next page
+app.get("/api/transactions", needAuth, validate({ summary: "Your transactions, paginated", query: history.TX_QUERY }), async (req, res) => {
+  try {
+    const parsed = history.parseTxQuery(req.query, { userId: new mongoose.Types.ObjectId(req.session.userId) });
+    const { transactions, nextCursor } = await history.findPage(parsed);
+    res.json({ ok: true, transactions, nextCursor });
+  } catch (err) {
+    if (err instanceof history.TxQueryError) return fieldError(res, err.field, err.message);
+    console.error("Transactions load error:", err);
+    res.status(500).json({ error: "Unable to load transactions" });
+  }
+});
+
+// same filters, every matching row; ?format=csv|json
+const exportSpec = { summary: "Export your matching transactions", query: { ...history.TX_QUERY, ...EXPORT_FORMAT } };
+
+app.get("/api/transactions/export", needAuth, validate(exportSpec), async (req, res) => {
+  try {
+    const { format } = req.query;
+    const parsed = history.parseTxQuery(req.query, { userId: new mongoose.Types.ObjectId(req.session.userId) });
+    await history.streamExport(res, parsed, { format });
+  } catch (err) {
+    if (res.headersSent) return res.destroy(err);
+    if (err instanceof history.TxQueryError) return fieldError(res, err.field, err.message);
+    res.status(500).json({ error: "Unable to export transactions" });
+  }
+});
+
+// ---------------- API description ----------------
+// built on first request, once every route above is registered
+let openApi = null;
+app.get("/api/openapi.json", validate({ summary: "This document" }), (req, res) => {
+  openApi ||= openApiDocument(app, { title: "StakeCryptoSack API", version: process.env.npm_package_version || "1.0.0" });
+  res.json(openApi);
+});
+
+// ---------------- Unknown API routes ----------------
+app.use("/api/*", (req, res) => res.status(404).json({ error: "API endpoint not found" }));
+
+// ---------------- Static fallback ----------------
+app.use((req, res) => {
   const file = req.path === "/" ? "/index.html" : req.path;
   res.sendFile(path.join(__dirname, "public", file));
 });
@@ -495,4 +2451,14 @@ app.use((req, res) => {
 const PORT = process.env.PORT || 3000;
 app.listen(PORT, () => console.log(`🚀 Server running on port ${PORT}`));
 
+// PAYOUT_SCHEDULER=off when payouts run from cron / the CLI instead
+if (process.env.MONGO_URI && process.env.PAYOUT_SCHEDULER !== "off") {
+  startPayoutScheduler({ intervalMs: Number(process.env.PAYOUT_INTERVAL_MINUTES || 60) * 60 * 1000 });
+}
+
+// price snapshots feeding /api/chart; PRICE_POLLER=off on instances that shouldn't write them
+if (process.env.MONGO_URI && process.env.PRICE_POLLER !== "off") {
+  candles.startPricePoller({ intervalMs: Number(process.env.PRICE_POLL_SECONDS || 60) * 1000 });
+}
+
 export default app;
@@ -0,0 +1,89 @@
+// sessions.js
+// Lists and revokes a user's login sessions straight from the express-session store:
+// the connect-mongo "sessions" collection in production, the MemoryStore without MONGO_URI.
+// Session ids are never handed out; clients see a short hash of them instead.
+
+import crypto from "crypto";
+import { promisify } from "util";
+
+export const publicSessionId = (sid) => crypto.createHash("sha256").update(sid).digest("hex").slice(0, 16);
+
+// rough "Browser on OS" label for the sessions list
+export function describeDevice(ua = "") {
+  const browser =
+    (/Edg\//.test(ua) && "Edge") ||
+    (/OPR\//.test(ua) && "Opera") ||
+    (/Chrome\//.test(ua) && "Chrome") ||
+    (/Firefox\//.test(ua) && "Firefox") ||
+    (/Safari\//.test(ua) && "Safari") ||
+    "Unknown browser";
+  const os =
+    (/Android/.test(ua) && "Android") ||
+    (/iPhone|iPad|iPod/.test(ua) && "iOS") ||
+    (/Windows/.test(ua) && "Windows") ||
+    (/Mac OS X/.test(ua) && "macOS") ||
+    (/Linux/.test(ua) && "Linux") ||
+    "unknown OS";
+  return `${browser} on ${os}`;
+}
+
+// collection: promise of the connect-mongo collection, or null to read the MemoryStore
+export function sessionRegistry({ store, collection }) {
+  const destroy = promisify(store.destroy.bind(store));
+
+  async function entries(userId) {
+    const id = String(userId);
+    if (!/^[0-9a-f]{24}$/.test(id)) return [];
+
+    if (collection) {
+      const coll = await collection;
+      // connect-mongo stores the session as a JSON string
+      const docs = await coll.find({ session: { $regex: `"userId":"${id}"` } }).toArray();
+      return docs
+        .map((d) => ({ sid: d._id, expires: d.expires, data: JSON.parse(d.session) }))
+        .filter((e) => e.data.userId === id);
+    }
+
+    return Object.entries(store.sessions || {})
+      .map(([sid, raw]) => ({ sid, data: JSON.parse(raw) }))
+      .filter((e) => e.data.userId === id)
+      .map((e) => ({ ...e, expires: e.data.cookie?.expires ? new Date(e.data.cookie.expires) : null }));
+  }
+
+  return {
+    async list(userId, currentSid) {
+      const all = await entries(userId);
+      return all
+        .map(({ sid, expires, data }) => ({
+          id: publicSessionId(sid),
+          current: sid === currentSid,
+          ip: data.meta?.ip || null,
+          device: describeDevice(data.meta?.userAgent),
+          userAgent: data.meta?.userAgent || null,
+          createdAt: data.meta?.createdAt || null,
+          lastSeen: data.meta?.lastSeen || data.meta?.createdAt || null,
+          expires,
+        }))
+        .sort((a, b) => new Date(b.lastSeen || 0) - new Date(a.lastSeen || 0));
+    },
+
+    // revoke one session by its public id; resolves false if the user has no such session
+    async revoke(userId, publicId) {
+      const match = (await entries(userId)).find((e) => publicSessionId(e.sid) === publicId);
+      if (!match) return false;
+      await destroy(match.sid);
+      return true;
+    },
+
+    async revokeAll(userId, { except = null } = {}) {
+      const all = await entries(userId);
+      let n = 0;
+      for (const e of all) {
+        if (e.sid === except) continue;
+        await destroy(e.sid);
+        n++;
+      }
+      return n;
+    },
+  };
+}
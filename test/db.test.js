@@ -0,0 +1,20 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import mongoose from "mongoose";
+import { User } from "../db.js";
+
+test("a user from before the ledger keeps ledgerOpenedAt unset when it is saved", async (t) => {
+  const writes = [];
+  t.mock.method(User.collection, "updateOne", async (filter, update) => {
+    writes.push(update);
+    return { acknowledged: true, matchedCount: 1, modifiedCount: 1 };
+  });
+
+  const user = User.hydrate({ _id: new mongoose.Types.ObjectId(), username: "alice", password: "x", balances: { USDT: "5" } });
+  assert.equal(user.ledgerOpenedAt, undefined);
+
+  user.bio = "hello";
+  await user.save();
+  assert.equal(writes.length, 1);
+  assert.equal(JSON.stringify(writes[0]).includes("ledgerOpenedAt"), false);
+});
@@ -0,0 +1,122 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import express from "express";
+import { IdempotencyKey } from "../db.js";
+import { idempotent } from "../idempotency.js";
+
+// IdempotencyKey kept in a Map, with the unique (owner, key) index the model has
+function memoryKeys(t) {
+  const rows = new Map();
+  const id = (q) => `${q.owner} ${q.key}`;
+  const query = (fn) => {
+    const run = () => Promise.resolve().then(fn);
+    return { exec: run, lean: run, then: (ok, fail) => run().then(ok, fail), catch: (fail) => run().catch(fail) };
+  };
+  t.mock.method(IdempotencyKey, "create", async (doc) => {
+    if (rows.has(id(doc))) throw Object.assign(new Error("E11000 duplicate key"), { code: 11000 });
+    rows.set(id(doc), { ...doc });
+  });
+  t.mock.method(IdempotencyKey, "findOne", (q) => query(() => rows.get(id(q)) ?? null));
+  t.mock.method(IdempotencyKey, "updateOne", (q, update) => query(() => Object.assign(rows.get(id(q)) ?? {}, update.$set)));
+  t.mock.method(IdempotencyKey, "deleteOne", (q) => query(() => rows.delete(id(q))));
+  return rows;
+}
+
+// an app with one idempotent route; `handler` answers it. Resolves { post, close }
+function serve(t, handler) {
+  memoryKeys(t);
+  const app = express();
+  app.use(express.json());
+  app.use((req, res, next) => {
+    req.session = { userId: req.get("X-User") || "64b000000000000000000001" };
+    next();
+  });
+  app.post("/api/transfer", idempotent(), handler);
+  return new Promise((resolve) => {
+    const server = app.listen(0, "127.0.0.1", () => {
+      const url = `http://127.0.0.1:${server.address().port}/api/transfer`;
+      const post = async (body, headers = {}) => {
+        const r = await fetch(url, { method: "POST", headers: { "Content-Type": "application/json", ...headers }, body: JSON.stringify(body) });
+        return { status: r.status, body: await r.json(), headers: r.headers };
+      };
+      t.after(() => server.close());
+      resolve(post);
+    });
+  });
+}
+
+const KEY = { "Idempotency-Key": "3f1c2a9e-transfer-1" };
+
+test("a retry gets the stored status and body back, marked as replayed, without running again", async (t) => {
+  let runs = 0;
+  const post = await serve(t, (req, res) => res.status(201).json({ ok: true, run: ++runs }));
+
+  const first = await post({ to: "bob", amount: "5" }, KEY);
+  const retry = await post({ to: "bob", amount: "5" }, KEY);
+  assert.equal(first.status, 201);
+  assert.equal(first.headers.get("Idempotent-Replayed"), null);
+  assert.equal(retry.status, 201);
+  assert.deepEqual(retry.body, { ok: true, run: 1 });
+  assert.equal(retry.headers.get("Idempotent-Replayed"), "true");
+  assert.equal(runs, 1);
+});
+
+test("a stored 4xx answer is replayed too", async (t) => {
+  let runs = 0;
+  const post = await serve(t, (req, res) => (++runs, res.status(400).json({ error: "Insufficient balance" })));
+  await post({ amount: "5" }, KEY);
+  const retry = await post({ amount: "5" }, KEY);
+  assert.equal(retry.status, 400);
+  assert.deepEqual(retry.body, { error: "Insufficient balance" });
+  assert.equal(runs, 1);
+});
+
+test("the same key for a different request is refused", async (t) => {
+  const post = await serve(t, (req, res) => res.json({ ok: true }));
+  await post({ to: "bob", amount: "5" }, KEY);
+  const reused = await post({ to: "bob", amount: "50" }, KEY);
+  assert.equal(reused.status, 422);
+  assert.equal(reused.body.code, "IDEMPOTENCY_KEY_REUSED");
+});
+
+test("a retry while the first request runs is told to wait", async (t) => {
+  let release;
+  const held = new Promise((resolve) => (release = resolve));
+  const post = await serve(t, async (req, res) => {
+    await held;
+    res.json({ ok: true });
+  });
+  const first = post({ amount: "5" }, KEY);
+  await new Promise((resolve) => setTimeout(resolve, 50));
+  const busy = await post({ amount: "5" }, KEY);
+  assert.equal(busy.status, 409);
+  assert.equal(busy.body.code, "IDEMPOTENCY_IN_PROGRESS");
+  assert.equal(busy.headers.get("Retry-After"), "1");
+  release();
+  assert.equal((await first).status, 200);
+});
+
+test("a server error or a busy answer isn't kept, so the key can be retried", async (t) => {
+  const answers = [
+    (res) => res.status(500).json({ error: "db down" }),
+    (res) => res.set("Retry-After", "1").status(409).json({ error: "busy" }),
+    (res) => res.json({ ok: true }),
+  ];
+  let runs = 0;
+  const post = await serve(t, (req, res) => answers[runs++](res));
+  assert.equal((await post({ amount: "5" }, KEY)).status, 500);
+  assert.equal((await post({ amount: "5" }, KEY)).status, 409);
+  assert.equal((await post({ amount: "5" }, KEY)).status, 200);
+  assert.equal(runs, 3);
+});
+
+test("keys belong to the caller, and requests without one run every time", async (t) => {
+  let runs = 0;
+  const post = await serve(t, (req, res) => res.json({ run: ++runs }));
+  await post({ amount: "5" }, KEY);
+  const other = await post({ amount: "5" }, { ...KEY, "X-User": "64b000000000000000000002" });
+  assert.equal(other.headers.get("Idempotent-Replayed"), null);
+  await post({ amount: "5" });
+  await post({ amount: "5" });
+  assert.equal(runs, 4);
+});
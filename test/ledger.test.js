@@ -0,0 +1,62 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { normalizeEntries, userAccount, heldAccount, SYSTEM } from "../ledger.js";
+
+const USER = "64b000000000000000000001";
+
+const code = (c) => (err) => err.code === c;
+
+test("a balanced journal comes back in BigInt units with the user id attached", () => {
+  const [from, to] = normalizeEntries([
+    { account: SYSTEM.DEPOSITS, coin: "USDT", debit: "12.5" },
+    { account: userAccount(USER), coin: "USDT", credit: "12.5" },
+  ]);
+  assert.equal(from.debit, 12_500_000_000_000_000_000n);
+  assert.equal(from.credit, 0n);
+  assert.equal(from.userId, null);
+  assert.equal(String(to.userId), USER);
+  assert.equal(to.credit, 12_500_000_000_000_000_000n);
+});
+
+test("decimals balance exactly, with no float dust", () => {
+  const entries = normalizeEntries([
+    { account: userAccount(USER), coin: "BTC", debit: "0.3" },
+    { account: heldAccount(USER), coin: "BTC", credit: "0.1" },
+    { account: heldAccount(USER), coin: "BTC", credit: "0.2" },
+  ]);
+  assert.equal(entries.length, 3);
+});
+
+test("every coin has to balance on its own", () => {
+  assert.throws(
+    () =>
+      normalizeEntries([
+        { account: SYSTEM.DEPOSITS, coin: "USDT", debit: "1" },
+        { account: userAccount(USER), coin: "BTC", credit: "1" },
+      ]),
+    code("UNBALANCED")
+  );
+  assert.throws(
+    () =>
+      normalizeEntries([
+        { account: SYSTEM.DEPOSITS, coin: "USDT", debit: "1" },
+        { account: userAccount(USER), coin: "USDT", credit: "1.000000000000000001" },
+      ]),
+    code("UNBALANCED")
+  );
+});
+
+test("a journal needs two entries", () => {
+  assert.throws(() => normalizeEntries([{ account: SYSTEM.DEPOSITS, coin: "USDT", debit: "1" }]), code("UNBALANCED"));
+  assert.throws(() => normalizeEntries(null), code("UNBALANCED"));
+});
+
+test("bad entries are refused", () => {
+  const to = { account: userAccount(USER), coin: "USDT", credit: "1" };
+  assert.throws(() => normalizeEntries([{ account: SYSTEM.DEPOSITS, coin: "DOGE", debit: "1" }, to]), code("UNKNOWN_COIN"));
+  assert.throws(() => normalizeEntries([{ coin: "USDT", debit: "1" }, to]), code("BAD_ENTRY"));
+  assert.throws(() => normalizeEntries([{ account: "user:nope", coin: "USDT", debit: "1" }, to]), code("BAD_ENTRY"));
+  assert.throws(() => normalizeEntries([{ account: SYSTEM.DEPOSITS, coin: "USDT", debit: "-1" }, { ...to, credit: "-1" }]), code("BAD_ENTRY"));
+  assert.throws(() => normalizeEntries([{ account: SYSTEM.DEPOSITS, coin: "USDT", debit: "0" }, { ...to, credit: "0" }]), code("BAD_ENTRY"));
+  assert.throws(() => normalizeEntries([{ account: SYSTEM.DEPOSITS, coin: "USDT", debit: "abc" }, to]), code("BAD_ENTRY"));
+});
@@ -0,0 +1,94 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import net from "net";
+import { sendMail, setTransport, mailTransport, smtpTransport, MailError } from "../mailer.js";
+
+// a minimal local SMTP stand-in: accepts everything and keeps each message's DATA
+function smtpStandIn() {
+  const messages = [];
+  const server = net.createServer((socket) => {
+    let buffer = "";
+    let data = null;
+    socket.write("220 stand-in ESMTP\r\n");
+    socket.on("data", (chunk) => {
+      buffer += chunk;
+      let i;
+      while ((i = buffer.indexOf("\r\n")) >= 0) {
+        const line = buffer.slice(0, i);
+        buffer = buffer.slice(i + 2);
+        if (data) {
+          if (line === ".") {
+            messages.push(data.join("\r\n"));
+            data = null;
+            socket.write("250 queued\r\n");
+          } else data.push(line);
+        } else if (/^(EHLO|HELO)/i.test(line)) socket.write("250 stand-in\r\n");
+        else if (/^DATA/i.test(line)) {
+          data = [];
+          socket.write("354 go ahead\r\n");
+        } else if (/^QUIT/i.test(line)) socket.end("221 bye\r\n");
+        else socket.write("250 ok\r\n");
+      }
+    });
+  });
+  return new Promise((resolve) => server.listen(0, "127.0.0.1", () => resolve({ server, messages, port: server.address().port })));
+}
+
+// runs `fn` with these environment variables, restoring them afterwards
+function withEnv(vars, fn) {
+  const saved = Object.fromEntries(Object.keys(vars).map((k) => [k, process.env[k]]));
+  for (const [k, v] of Object.entries(vars)) v == null ? delete process.env[k] : (process.env[k] = v);
+  setTransport(null);
+  try {
+    return fn();
+  } finally {
+    for (const [k, v] of Object.entries(saved)) v == null ? delete process.env[k] : (process.env[k] = v);
+    setTransport(null);
+  }
+}
+
+test("mail is delivered over SMTP", async () => {
+  const { server, messages, port } = await smtpStandIn();
+  try {
+    setTransport(smtpTransport({ host: "127.0.0.1", port }));
+    await sendMail({ to: "alice@example.com", subject: "Reset your password", text: "https://example.com/reset?token=abc" });
+    assert.equal(messages.length, 1);
+    assert.match(messages[0], /^To: alice@example\.com$/m);
+    assert.match(messages[0], /^Subject: Reset your password$/m);
+    assert.match(messages[0], /token=abc/);
+  } finally {
+    setTransport(null);
+    server.close();
+  }
+});
+
+test("header injection through the recipient or subject is refused", async () => {
+  const sent = [];
+  setTransport({ name: "memory", send: async (m) => sent.push(m) });
+  try {
+    await assert.rejects(sendMail({ to: "a@example.com\r\nBcc: b@example.com", subject: "x", text: "" }), { code: "BAD_HEADER" });
+    await assert.rejects(sendMail({ to: "a@example.com", subject: "x\nBcc: b@example.com", text: "" }), { code: "BAD_HEADER" });
+    await assert.rejects(sendMail({ to: "", subject: "x", text: "" }), { code: "NO_RECIPIENT" });
+    assert.equal(sent.length, 0);
+  } finally {
+    setTransport(null);
+  }
+});
+
+test("outside production mail goes to the console by default", () => {
+  withEnv({ NODE_ENV: "development", MAIL_TRANSPORT: null }, () => {
+    assert.equal(mailTransport().name, "console");
+  });
+});
+
+test("production refuses the console and needs SMTP configured", () => {
+  withEnv({ NODE_ENV: "production", MAIL_TRANSPORT: "console" }, () => {
+    assert.throws(() => mailTransport(), MailError);
+  });
+  withEnv({ NODE_ENV: "production", MAIL_TRANSPORT: null, SMTP_HOST: null }, () => {
+    assert.throws(() => mailTransport(), { code: "BAD_TRANSPORT" });
+  });
+  withEnv({ NODE_ENV: "production", MAIL_TRANSPORT: null, SMTP_HOST: "smtp.example.com" }, () => {
+    assert.equal(mailTransport().name, "smtp");
+  });
+});
@@ -0,0 +1,106 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import mongoose from "mongoose";
+import { Deposit, Membership, Transaction, User } from "../db.js";
+import { approvePayment } from "../memberships.js";
+
+const { ObjectId } = mongoose.Types;
+
+// a standalone mongod: no transactions, so ledger.atomically runs the work without a session
+function standalone(t) {
+  t.mock.method(console, "warn", () => {});
+  t.mock.method(mongoose, "startSession", async () => ({
+    withTransaction: async () => {
+      throw Object.assign(new Error("Transaction numbers are only allowed on a replica set member or mongos"), { code: 20 });
+    },
+    endSession: async () => {},
+  }));
+}
+
+// a mongoose query resolving to `value`
+const query = (value) => ({
+  select() {
+    return this;
+  },
+  lean: async () => value,
+  then: (ok, fail) => Promise.resolve(value).then(ok, fail),
+});
+
+// the models approvePayment writes, recording every call as [name, filter, update];
+// `fail` names the call that throws
+function models(t, { fail = null, claimed = true } = {}) {
+  const writes = [];
+  const record = (model, method, name, answer) =>
+    t.mock.method(model, method, (...args) => {
+      writes.push([name, ...args.slice(0, 2)]);
+      if (fail === name) throw new Error(`${name} failed`);
+      return answer(...args);
+    });
+  record(Transaction, "updateOne", "Transaction.updateOne", async () => ({ matchedCount: claimed ? 1 : 0 }));
+  record(Deposit, "updateOne", "Deposit.updateOne", async () => ({ matchedCount: 1 }));
+  record(Membership, "updateOne", "Membership.updateOne", async () => ({ matchedCount: 1 }));
+  record(Membership, "create", "Membership.create", async ([doc]) => [{ _id: MEMBERSHIP, ...doc }]);
+  record(Membership, "deleteOne", "Membership.deleteOne", async () => ({ deletedCount: 1 }));
+  record(User, "findOneAndUpdate", "User.findOneAndUpdate", () => query({ membership: "SILVER", membershipActivatedAt: null }));
+  record(User, "updateOne", "User.updateOne", async () => ({ matchedCount: 1 }));
+  t.mock.method(Deposit, "findById", () => query({ _id: DEPOSIT, status: "PENDING", amount_received: null }));
+  return writes;
+}
+
+const MEMBERSHIP = new ObjectId();
+const DEPOSIT = new ObjectId();
+const tx = { _id: new ObjectId(), userId: new ObjectId(), amount: "250", meta: { depositId: DEPOSIT, isMembership: true } };
+const plan = {
+  tier: { id: "GOLD", version: 3, price: "250", dailyAmount: "5", durationDays: 60, bonus: "20" },
+  replaces: { _id: new ObjectId(), tier: "SILVER" },
+};
+const approvedBy = { adminId: "64a000000000000000000001", username: "ops" };
+
+const names = (writes) => writes.map(([name]) => name);
+
+test("an approval confirms the payment and its deposit, ends the old membership and starts the new one", async (t) => {
+  standalone(t);
+  const writes = models(t);
+  const membership = await approvePayment(tx, plan, { approvedBy });
+  assert.equal(membership._id, MEMBERSHIP);
+  assert.equal(membership.planVersion, 3);
+  assert.deepEqual(names(writes), ["Transaction.updateOne", "Deposit.updateOne", "Membership.updateOne", "Membership.create", "User.findOneAndUpdate"]);
+  assert.deepEqual(writes[0][1], { _id: tx._id, status: "PENDING" });
+});
+
+test("without transactions a failed step undoes the ones before it, latest first", async (t) => {
+  standalone(t);
+  t.mock.method(console, "error", () => {});
+  const writes = models(t, { fail: "User.findOneAndUpdate" });
+  await assert.rejects(approvePayment(tx, plan, { approvedBy }), /User.findOneAndUpdate failed/);
+
+  const undone = writes.slice(5);
+  assert.deepEqual(names(undone), ["Membership.deleteOne", "Membership.updateOne", "Deposit.updateOne", "Transaction.updateOne"]);
+  assert.deepEqual(undone[0][1], { _id: MEMBERSHIP });
+  assert.deepEqual(undone[1][1], { _id: plan.replaces._id, status: "UPGRADED" });
+  assert.equal(undone[1][2].$set.status, "ACTIVE");
+  assert.equal(undone[2][2].$set.status, "PENDING");
+  assert.deepEqual(undone[3][1], { _id: tx._id, status: "CONFIRMED" });
+  assert.equal(undone[3][2].$set.status, "PENDING");
+});
+
+test("a compensation that fails itself doesn't stop the others", async (t) => {
+  standalone(t);
+  const logged = t.mock.method(console, "error", () => {});
+  const writes = models(t, { fail: "Membership.create" });
+  t.mock.method(Deposit, "updateOne", async (filter, update) => {
+    writes.push(["Deposit.updateOne", filter, update]);
+    if (update.$set.status === "PENDING") throw new Error("still down");
+    return { matchedCount: 1 };
+  });
+  await assert.rejects(approvePayment(tx, plan, { approvedBy }), /Membership.create failed/);
+  assert.deepEqual(names(writes.slice(4)), ["Membership.updateOne", "Deposit.updateOne", "Transaction.updateOne"]);
+  assert.equal(logged.mock.callCount(), 1);
+});
+
+test("a payment that is no longer pending is refused before anything else is written", async (t) => {
+  standalone(t);
+  const writes = models(t, { claimed: false });
+  await assert.rejects(approvePayment(tx, plan, { approvedBy }), { code: "ALREADY_PROCESSED" });
+  assert.deepEqual(names(writes), ["Transaction.updateOne"]);
+});
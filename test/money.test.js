@@ -0,0 +1,87 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import mongoose from "mongoose";
+import * as money from "../money.js";
+
+const { Decimal128 } = mongoose.Types;
+
+test("sums are exact where floats are not", () => {
+  assert.equal(money.add("0.1", "0.2"), "0.3");
+  assert.equal(money.add(0.1, 0.2), "0.3");
+  assert.equal(money.sub("1", "0.000000000000000001"), "0.999999999999999999");
+  assert.equal(money.add(), "0");
+  assert.equal(money.neg("2.5"), "-2.5");
+});
+
+test("values come out canonical", () => {
+  assert.equal(money.normalize("001.2300"), "1.23");
+  assert.equal(money.normalize("1e-8"), "0.00000001");
+  assert.equal(money.normalize("-0"), "0");
+  assert.equal(money.normalize(".5"), "0.5");
+  assert.equal(money.normalize(Decimal128.fromString("12.50")), "12.5");
+  assert.equal(money.normalize(10n), "10");
+});
+
+test("comparisons", () => {
+  assert.equal(money.cmp("1.10", "1.1"), 0);
+  assert.equal(money.cmp("2", "10"), -1);
+  assert.equal(money.cmp("-1", "-2"), 1);
+  assert.equal(money.isZero("0.000"), true);
+  assert.equal(money.isPositive("0.000000000000000001"), true);
+  assert.equal(money.isPositive("0"), false);
+});
+
+test("more than 18 decimals is refused unless rounding is asked for", () => {
+  assert.throws(() => money.units("0.0000000000000000001"), { code: "TOO_PRECISE" });
+  assert.equal(money.units("0.0000000000000000005", { round: true }), 1n);
+  assert.equal(money.units("0.0000000000000000004", { round: true }), 0n);
+});
+
+test("garbage is refused", () => {
+  for (const bad of ["", "abc", "1.2.3", "1,5", NaN, Infinity, null, {}, "."]) {
+    assert.throws(() => money.units(bad), { name: "MoneyError" }, String(bad));
+  }
+  assert.throws(() => money.units("1e999999999"), { code: "OUT_OF_RANGE" });
+});
+
+test("round goes half away from zero", () => {
+  assert.equal(money.round("2.345", 2), "2.35");
+  assert.equal(money.round("2.344999", 2), "2.34");
+  assert.equal(money.round("-2.345", 2), "-2.35");
+  assert.equal(money.round("0.5", 0), "1");
+  assert.equal(money.round("1.00000000000000000049", 18), "1");
+  assert.equal(money.round(0.1 + 0.2, 8), "0.3");
+});
+
+test("times multiplies exactly and rounds once", () => {
+  assert.equal(money.times("0.1", "30000.5", 8), "3000.05");
+  assert.equal(money.times("10", 5, 2), "50");
+  assert.equal(money.times("0.333", "0.5", 2), "0.17");
+  assert.equal(money.times("1.23456789", "1", 4), "1.2346");
+});
+
+test("div divides exactly and rounds once", () => {
+  assert.equal(money.div("100", "30000", 8), "0.00333333");
+  assert.equal(money.div("200", "30000", 8), "0.00666667");
+  assert.equal(money.div("1", "3", 18), "0.333333333333333333");
+  assert.equal(money.div("12.5", "1", 2), "12.5");
+  assert.throws(() => money.div("1", "0", 8), { code: "DIVIDE_BY_ZERO" });
+});
+
+test("parseAmount holds amounts to the coin's decimals", () => {
+  assert.equal(money.parseAmount("BTC", "0.00000001"), "0.00000001");
+  assert.throws(() => money.parseAmount("BTC", "0.000000001"), { code: "TOO_PRECISE" });
+  assert.equal(money.parseAmount("USDT", 12.5), "12.5");
+  assert.throws(() => money.parseAmount("USDT", "0"), { code: "NOT_POSITIVE" });
+  assert.throws(() => money.parseAmount("USDT", "-1"), { code: "NOT_POSITIVE" });
+  assert.throws(() => money.parseAmount("NOPE", "1"), { code: "UNKNOWN_COIN" });
+  assert.equal(money.forCoin("BTC", 0.123456789), "0.12345679");
+});
+
+test("stored values round-trip through Decimal128 and JSON", () => {
+  const d = money.toDecimal128("0.000000000000000001");
+  assert.equal(money.toString(d), "0.000000000000000001");
+  assert.equal(JSON.stringify({ amount: money.toDecimal128("12.50") }), '{"amount":"12.5"}');
+  assert.equal(money.toString(null), "0");
+  assert.equal(money.toNumber("1.5"), 1.5);
+});
@@ -0,0 +1,105 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import path from "path";
+import { fileURLToPath } from "url";
+import { createPriceService, fixtureProvider, toUsd, fromUsd, PriceError } from "../prices.js";
+
+const FIXTURE = path.join(path.dirname(fileURLToPath(import.meta.url)), "..", "fixtures", "prices.json");
+
+// a provider answering from `answers` in turn: a quote object, or an Error to throw
+function scripted(name, ...answers) {
+  const provider = {
+    name,
+    calls: 0,
+    async quotes() {
+      const answer = answers[Math.min(provider.calls++, answers.length - 1)];
+      if (answer instanceof Error) throw answer;
+      return answer;
+    },
+  };
+  return provider;
+}
+
+const quiet = (t) => t.mock.method(console, "warn", () => {});
+
+test("quotes come from the first provider that answers, tagged with it", async () => {
+  const first = scripted("first", { BTC: { usd: 100, change24h: 1 } });
+  const second = scripted("second", { BTC: { usd: 1, change24h: 0 } });
+  const r = await createPriceService({ providers: [first, second], symbols: ["BTC"] }).getQuotes();
+  assert.equal(r.source, "first");
+  assert.equal(r.stale, false);
+  assert.equal(r.quotes.BTC.usd, 100);
+  assert.equal(r.quotes.BTC.source, "first");
+  assert.equal(r.quotes.BTC.at, r.updatedAt);
+  assert.equal(second.calls, 0);
+});
+
+test("a failing or empty provider falls through to the next", async () => {
+  const down = scripted("down", new Error("timeout"));
+  const empty = scripted("empty", {});
+  const backup = scripted("backup", { ETH: { usd: 2000, change24h: 0 } });
+  const r = await createPriceService({ providers: [down, empty, backup], symbols: ["ETH"] }).getQuotes();
+  assert.equal(r.source, "backup");
+  assert.equal(r.quotes.ETH.source, "backup");
+  assert.equal(r.stale, false);
+});
+
+test("within the TTL the cache answers without asking the providers again", async () => {
+  const p = scripted("p", { BTC: { usd: 100, change24h: 0 } });
+  const service = createPriceService({ providers: [p], ttlMs: 60000, symbols: ["BTC"] });
+  await service.getQuotes();
+  await service.getQuotes();
+  assert.equal(p.calls, 1);
+});
+
+test("concurrent callers share one refresh", async () => {
+  const p = scripted("p", { BTC: { usd: 100, change24h: 0 } });
+  const service = createPriceService({ providers: [p], ttlMs: 0, symbols: ["BTC"] });
+  await Promise.all([service.getQuotes(), service.getQuotes(), service.getQuotes()]);
+  assert.equal(p.calls, 1);
+});
+
+test("when every provider fails the last good quotes are served as stale", async (t) => {
+  quiet(t);
+  const p = scripted("p", { BTC: { usd: 100, change24h: 0 } }, new Error("down"));
+  const service = createPriceService({ providers: [p], ttlMs: 0, symbols: ["BTC"] });
+  const fresh = await service.getQuotes();
+  const stale = await service.getQuotes();
+  assert.equal(stale.stale, true);
+  assert.equal(stale.quotes.BTC.usd, 100);
+  assert.equal(stale.updatedAt, fresh.updatedAt);
+});
+
+test("with nothing cached a total failure is a PriceError", async () => {
+  const service = createPriceService({ providers: [scripted("down", new Error("down"))], symbols: ["BTC"] });
+  await assert.rejects(service.getQuotes(), PriceError);
+});
+
+test("coins a provider misses keep their previous quote and its time", async () => {
+  const p = scripted("p", { BTC: { usd: 100, change24h: 0 }, ETH: { usd: 2000, change24h: 0 } }, { BTC: { usd: 101, change24h: 0 } });
+  const service = createPriceService({ providers: [p], ttlMs: 0, symbols: ["BTC", "ETH"] });
+  const first = await service.getQuotes();
+  const second = await service.getQuotes();
+  assert.equal(second.quotes.BTC.usd, 101);
+  assert.equal(second.quotes.BTC.at, second.updatedAt);
+  assert.equal(second.quotes.ETH.usd, 2000);
+  assert.equal(second.quotes.ETH.at, first.updatedAt);
+});
+
+test("the fixture provider reads the local file", async () => {
+  const r = await createPriceService({ providers: [fixtureProvider({ file: FIXTURE })], symbols: ["BTC"] }).getQuotes();
+  assert.equal(r.source, "fixture");
+  assert.equal(r.quotes.BTC.source, "fixture");
+  assert.equal(typeof r.quotes.BTC.usd, "number");
+});
+
+test("toUsd values exactly and uses par value for stablecoins", () => {
+  assert.equal(toUsd("BTC", "0.1", { BTC: { usd: 30000.5 } }), "3000.05");
+  assert.equal(toUsd("USDT", "12.34", {}), "12.34");
+});
+
+test("fromUsd prices a USD amount in a coin at its quote, and refuses without one", () => {
+  assert.equal(fromUsd("BTC", "100", { BTC: { usd: 30000 } }), "0.00333333");
+  assert.equal(fromUsd("USDT", "100", {}), "100");
+  assert.throws(() => fromUsd("ETH", "100", {}), PriceError);
+});
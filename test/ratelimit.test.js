@@ -0,0 +1,125 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { createLoginGuard, memoryStore } from "../ratelimit.js";
+
+const SECOND = 1000;
+const MINUTE = 60 * SECOND;
+
+const CONFIG = {
+  windowMs: 15 * MINUTE,
+  ipMaxFailures: 50,
+  freeAttempts: 3,
+  delayBaseMs: SECOND,
+  delayMaxMs: 8 * SECOND,
+  lockAfter: 10,
+  lockMs: 15 * MINUTE,
+  registerMax: 2,
+  registerWindowMs: 60 * MINUTE,
+  resetMax: 2,
+  resetWindowMs: 60 * MINUTE,
+};
+
+// a guard on a memory store with a clock the test moves by hand
+function setup(config = {}) {
+  const clock = { t: 1_700_000_000_000 };
+  const now = () => clock.t;
+  const events = [];
+  const guard = createLoginGuard({
+    store: memoryStore({ now }),
+    now,
+    config: { ...CONFIG, ...config },
+    log: async (type, e) => events.push({ type, ...e }),
+  });
+  return { guard, clock, events };
+}
+
+const attempt = { ip: "10.0.0.1", accountKey: "alice" };
+
+async function fail(guard, n, who = attempt) {
+  for (let i = 0; i < n; i++) await guard.failed(who);
+}
+
+test("the free attempts go through without a wait", async () => {
+  const { guard } = setup();
+  await fail(guard, CONFIG.freeAttempts);
+  assert.equal(await guard.check(attempt), null);
+});
+
+test("each failure past the free ones doubles the wait, up to the cap", async () => {
+  const { guard, clock } = setup();
+  await fail(guard, CONFIG.freeAttempts);
+
+  for (const wait of [1, 2, 4, 8, 8]) {
+    await guard.failed(attempt);
+    const blocked = await guard.check(attempt);
+    assert.equal(blocked.status, 429);
+    assert.equal(blocked.retryAfter, wait);
+    clock.t += wait * SECOND - 1;
+    assert.equal((await guard.check(attempt)).status, 429);
+    clock.t += 1;
+    assert.equal(await guard.check(attempt), null);
+  }
+});
+
+test("lockAfter failures lock the account for lockMs", async () => {
+  const { guard, clock, events } = setup();
+  await fail(guard, CONFIG.lockAfter);
+
+  const blocked = await guard.check(attempt);
+  assert.equal(blocked.status, 423);
+  assert.equal(blocked.retryAfter, CONFIG.lockMs / SECOND);
+  assert.ok(events.some((e) => e.type === "ACCOUNT_LOCKED"));
+
+  clock.t += CONFIG.lockMs - SECOND;
+  assert.equal((await guard.check(attempt)).status, 423);
+  clock.t += SECOND;
+  assert.equal(await guard.check(attempt), null);
+});
+
+test("a locked account stays locked while others can still sign in", async () => {
+  const { guard } = setup();
+  await fail(guard, CONFIG.lockAfter);
+  assert.equal((await guard.check(attempt)).status, 423);
+  assert.equal(await guard.check({ ...attempt, accountKey: "bob" }), null);
+});
+
+test("a success clears the account's failures", async () => {
+  const { guard } = setup();
+  await fail(guard, CONFIG.freeAttempts + 1);
+  await guard.succeeded(attempt);
+  assert.equal(await guard.check(attempt), null);
+  await fail(guard, CONFIG.freeAttempts);
+  assert.equal(await guard.check(attempt), null);
+});
+
+test("failures outside the window are forgotten", async () => {
+  const { guard, clock } = setup({ lockAfter: 4, delayMaxMs: 0 });
+  await fail(guard, 3);
+  clock.t += CONFIG.windowMs;
+  await fail(guard, 3);
+  assert.equal(await guard.check(attempt), null);
+});
+
+test("one IP guessing across many accounts is stopped", async () => {
+  const { guard, events } = setup({ ipMaxFailures: 5 });
+  for (let i = 0; i < 5; i++) await guard.failed({ ip: attempt.ip, accountKey: `user${i}` });
+
+  const blocked = await guard.check({ ip: attempt.ip, accountKey: "someone-else" });
+  assert.equal(blocked.status, 429);
+  assert.equal(blocked.retryAfter, CONFIG.windowMs / SECOND);
+  assert.ok(events.some((e) => e.type === "LOGIN_BLOCKED" && e.meta.reason === "ip"));
+  assert.equal(await guard.check({ ip: "10.0.0.2", accountKey: "someone-else" }), null);
+});
+
+test("registrations and reset requests are capped per IP and window", async () => {
+  const { guard, clock } = setup();
+  for (const check of ["checkRegister", "checkPasswordReset"]) {
+    assert.equal(await guard[check](attempt), null);
+    assert.equal(await guard[check](attempt), null);
+    const blocked = await guard[check](attempt);
+    assert.equal(blocked.status, 429);
+    assert.equal(blocked.retryAfter, 60 * 60);
+  }
+  clock.t += 60 * MINUTE;
+  assert.equal(await guard.checkRegister(attempt), null);
+});
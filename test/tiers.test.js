@@ -0,0 +1,83 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import mongoose from "mongoose";
+import { MembershipPlan, MembershipPlanVersion } from "../db.js";
+import { createTier, updateTier } from "../tiers.js";
+
+// a standalone mongod: no transactions, so ledger.atomically runs the work without a session
+function standalone(t) {
+  t.mock.method(console, "warn", () => {});
+  t.mock.method(mongoose, "startSession", async () => ({
+    withTransaction: async () => {
+      throw Object.assign(new Error("Transaction numbers are only allowed on a replica set member or mongos"), { code: 20 });
+    },
+    endSession: async () => {},
+  }));
+}
+
+const duplicate = (keyPattern) => Object.assign(new Error("E11000 duplicate key"), { code: 11000, keyPattern });
+
+const GOLD = { _id: "GOLD", name: "Gold", rank: 3, enabled: true, version: 2, price: "250", dailyAmount: "5", durationDays: 60, bonus: "20" };
+const admin = { adminId: "64a000000000000000000001", username: "ops" };
+
+// the catalog models; `plan` answers MembershipPlan's write for the test
+function catalog(t, { plan }) {
+  const versions = { created: [], deleted: [] };
+  t.mock.method(MembershipPlan, "exists", async () => null);
+  t.mock.method(MembershipPlan, "findById", () => ({ lean: async () => ({ ...GOLD }) }));
+  t.mock.method(MembershipPlanVersion, "create", async ([doc]) => (versions.created.push(doc), [doc]));
+  t.mock.method(MembershipPlanVersion, "deleteOne", async (filter) => (versions.deleted.push(filter), { deletedCount: 1 }));
+  t.mock.method(MembershipPlan, "create", plan);
+  t.mock.method(MembershipPlan, "updateOne", plan);
+  return versions;
+}
+
+const NEW_PLAN = { id: "PLATINUM", name: "Platinum", rank: 4, price: "500", dailyAmount: "10", durationDays: 60, bonus: "50" };
+
+test("a new plan's version is removed again when the plan can't be written", async (t) => {
+  standalone(t);
+  const versions = catalog(t, {
+    plan: async () => {
+      throw duplicate({ rank: 1 });
+    },
+  });
+  await assert.rejects(createTier(NEW_PLAN, admin), { code: "RANK_TAKEN" });
+  assert.deepEqual(versions.created.map((v) => v.version), [1]);
+  assert.deepEqual(versions.deleted, [{ planId: "PLATINUM", version: 1 }]);
+});
+
+test("a new plan written in full keeps its version", async (t) => {
+  standalone(t);
+  const versions = catalog(t, { plan: async ([doc]) => [{ toObject: () => doc }] });
+  const created = await createTier(NEW_PLAN, admin);
+  assert.equal(created.id, "PLATINUM");
+  assert.equal(created.version, 1);
+  assert.deepEqual(versions.deleted, []);
+});
+
+test("a term change that loses the race removes the version it wrote", async (t) => {
+  standalone(t);
+  const versions = catalog(t, { plan: async () => ({ matchedCount: 0 }) });
+  await assert.rejects(updateTier("GOLD", { price: "300" }, admin), { code: "CONFLICT" });
+  assert.deepEqual(versions.created.map((v) => v.version), [3]);
+  assert.deepEqual(versions.deleted, [{ planId: "GOLD", version: 3 }]);
+});
+
+test("a failed plan write removes the version, whatever the error", async (t) => {
+  standalone(t);
+  const versions = catalog(t, {
+    plan: async () => {
+      throw new Error("connection reset");
+    },
+  });
+  await assert.rejects(updateTier("GOLD", { price: "300" }, admin), /connection reset/);
+  assert.deepEqual(versions.deleted, [{ planId: "GOLD", version: 3 }]);
+});
+
+test("an edit that leaves the terms alone writes no version", async (t) => {
+  standalone(t);
+  const versions = catalog(t, { plan: async () => ({ matchedCount: 1 }) });
+  await updateTier("GOLD", { name: "Gold+", enabled: false }, admin);
+  assert.deepEqual(versions.created, []);
+  assert.deepEqual(versions.deleted, []);
+});
@@ -0,0 +1,50 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { generateCode, verifyCode, currentStep, generateSecret, hashRecoveryCode } from "../totp.js";
+
+// RFC 6238 appendix B: the ASCII secret "12345678901234567890", SHA-1
+const RFC_SECRET = "GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ";
+const STEP = 30 * 1000;
+
+test("codes match the RFC 6238 test vectors", () => {
+  assert.equal(generateCode(RFC_SECRET, 59 * 1000), "287082");
+  assert.equal(generateCode(RFC_SECRET, 1111111109 * 1000), "081804");
+  assert.equal(generateCode(RFC_SECRET, 1234567890 * 1000), "005924");
+  assert.equal(generateCode(RFC_SECRET, 20000000000 * 1000), "353130");
+});
+
+test("a code is accepted one step either side of now and not further", () => {
+  const secret = generateSecret();
+  const now = 1_700_000_000_000;
+  const step = currentStep(now);
+  assert.equal(verifyCode(secret, generateCode(secret, now), { now }), step);
+  assert.equal(verifyCode(secret, generateCode(secret, now - STEP), { now }), step - 1);
+  assert.equal(verifyCode(secret, generateCode(secret, now + STEP), { now }), step + 1);
+  assert.equal(verifyCode(secret, generateCode(secret, now - 2 * STEP), { now }), null);
+  assert.equal(verifyCode(secret, generateCode(secret, now + 2 * STEP), { now }), null);
+});
+
+test("a step at or before afterStep can't be used again", () => {
+  const secret = generateSecret();
+  const now = 1_700_000_000_000;
+  const code = generateCode(secret, now);
+  const step = verifyCode(secret, code, { now });
+  assert.equal(verifyCode(secret, code, { now, afterStep: step }), null);
+  assert.equal(verifyCode(secret, code, { now: now + STEP, afterStep: step }), null);
+  assert.equal(verifyCode(secret, generateCode(secret, now + STEP), { now: now + STEP, afterStep: step }), step + 1);
+});
+
+test("spaces are ignored and anything but six digits is refused", () => {
+  const now = 59 * 1000;
+  assert.notEqual(verifyCode(RFC_SECRET, "287 082", { now }), null);
+  assert.equal(verifyCode(RFC_SECRET, "28708", { now }), null);
+  assert.equal(verifyCode(RFC_SECRET, "2870821", { now }), null);
+  assert.equal(verifyCode(RFC_SECRET, "abcdef", { now }), null);
+  assert.equal(verifyCode(RFC_SECRET, undefined, { now }), null);
+  assert.equal(verifyCode(null, "287082", { now }), null);
+});
+
+test("recovery codes hash the same however they are typed", () => {
+  assert.equal(hashRecoveryCode("ab12c-d34ef"), hashRecoveryCode("AB12CD34EF"));
+  assert.equal(hashRecoveryCode(" AB12C - D34EF "), hashRecoveryCode("AB12CD34EF"));
+});
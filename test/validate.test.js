@@ -0,0 +1,52 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { v, validate } from "../validate.js";
+import { TX_QUERY, parseTxQuery } from "../tx-history.js";
+
+// runs validate(spec) on a request; resolves { status, body } when it answers, else { req }
+function run(spec, { query = {}, body = {} } = {}) {
+  return new Promise((resolve) => {
+    const req = { params: {}, query, body };
+    const res = {
+      status(code) {
+        this.statusCode = code;
+        return this;
+      },
+      json: (payload) => resolve({ status: res.statusCode, body: payload }),
+    };
+    validate(spec)(req, res, () => resolve({ req }));
+  });
+}
+
+test("a list field splits, trims and checks each item", async () => {
+  const spec = { query: { type: v.list(["DEPOSIT", "WITHDRAW"], { uppercase: true }).optional() } };
+  const { req } = await run(spec, { query: { type: " deposit, WITHDRAW ," } });
+  assert.deepEqual(req.query.type, ["DEPOSIT", "WITHDRAW"]);
+
+  const bad = await run(spec, { query: { type: "DEPOSIT,BRIBE" } });
+  assert.equal(bad.status, 400);
+  assert.equal(bad.body.code, "VALIDATION_FAILED");
+  assert.match(bad.body.fields.type, /BRIBE/);
+});
+
+test("history filters are refused with the validation shape before the handler runs", async () => {
+  for (const query of [{ type: "NOPE" }, { coin: "DOGE2" }, { status: "LOST" }, { direction: "SIDEWAYS" }, { from: "yesterday-ish" }]) {
+    const r = await run({ query: TX_QUERY }, { query });
+    assert.equal(r.status, 400, JSON.stringify(query));
+    assert.equal(r.body.code, "VALIDATION_FAILED");
+    assert.deepEqual(Object.keys(r.body.fields), Object.keys(query));
+  }
+});
+
+test("validated history filters turn into the Mongo query", async () => {
+  const { req } = await run({ query: TX_QUERY }, { query: { type: "deposit,withdraw", status: "pending", from: "2024-01-01" } });
+  const { filter } = parseTxQuery(req.query);
+  assert.deepEqual(filter.type, { $in: ["DEPOSIT", "WITHDRAW"] });
+  assert.equal(filter.status, "PENDING");
+  assert.equal(filter.createdAt.$gte.toISOString(), "2024-01-01T00:00:00.000Z");
+});
+
+test("what parseTxQuery can only find later names the field at fault", async () => {
+  assert.throws(() => parseTxQuery({ type: ["DEPOSIT"], direction: ["SENT"] }), { field: "direction" });
+  assert.throws(() => parseTxQuery({ cursor: "not-a-cursor" }), { field: "cursor" });
+});
@@ -0,0 +1,45 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { approvalStep, needsSecondApproval, secondApprovalAbove, OPEN_STATUSES } from "../withdrawals.js";
+
+const THRESHOLDS = { BTC: "0.25", USDT: null };
+const ALICE = { _id: "64a000000000000000000001" };
+const BOB = { _id: "64a000000000000000000002" };
+
+const withdrawal = (fields) => ({ type: "WITHDRAW", coin: "BTC", amount: "1", status: "PENDING", meta: {}, ...fields });
+
+test("only amounts above the coin's threshold need a second approval", () => {
+  assert.equal(needsSecondApproval(withdrawal({ amount: "0.25" }), THRESHOLDS), false);
+  assert.equal(needsSecondApproval(withdrawal({ amount: "0.25000001" }), THRESHOLDS), true);
+  assert.equal(needsSecondApproval(withdrawal({ coin: "USDT", amount: "1000000" }), THRESHOLDS), false);
+  assert.equal(needsSecondApproval(withdrawal({ coin: "NOPE" }), THRESHOLDS), false);
+});
+
+test("a large pending withdrawal first waits for a second approval, from another admin", () => {
+  assert.deepEqual(approvalStep(withdrawal(), ALICE, THRESHOLDS), { from: "PENDING", to: "AWAITING_SECOND_APPROVAL" });
+
+  const awaiting = withdrawal({ status: "AWAITING_SECOND_APPROVAL", meta: { firstApproval: { adminId: ALICE._id } } });
+  assert.throws(() => approvalStep(awaiting, ALICE, THRESHOLDS), { code: "SAME_ADMIN" });
+  assert.deepEqual(approvalStep(awaiting, BOB, THRESHOLDS), { from: "AWAITING_SECOND_APPROVAL", to: "CONFIRMED" });
+});
+
+test("a small withdrawal is confirmed by one approval", () => {
+  assert.deepEqual(approvalStep(withdrawal({ amount: "0.1" }), ALICE, THRESHOLDS), { from: "PENDING", to: "CONFIRMED" });
+});
+
+test("a closed withdrawal can't be approved, held or not", () => {
+  for (const status of ["DECLINED", "CANCELLED", "CONFIRMED"]) {
+    for (const meta of [{}, { held: true }]) {
+      assert.throws(() => approvalStep(withdrawal({ status, meta }), ALICE, THRESHOLDS), { code: "NOT_OPEN" }, status);
+    }
+  }
+  assert.deepEqual(OPEN_STATUSES, ["PENDING", "AWAITING_SECOND_APPROVAL"]);
+});
+
+test("thresholds come from the environment over the registry, as exact decimals", () => {
+  assert.equal(secondApprovalAbove("BTC", 0.25, {}), "0.25");
+  assert.equal(secondApprovalAbove("BTC", 0.25, { WITHDRAW_SECOND_APPROVAL_BTC: "1.50" }), "1.5");
+  assert.equal(secondApprovalAbove("BTC", 0.25, { WITHDRAW_SECOND_APPROVAL_BTC: "off" }), null);
+  assert.equal(secondApprovalAbove("BTC", null, {}), null);
+  assert.throws(() => secondApprovalAbove("BTC", 0.25, { WITHDRAW_SECOND_APPROVAL_BTC: "1btc" }), /WITHDRAW_SECOND_APPROVAL_BTC/);
+});
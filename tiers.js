@@ -0,0 +1,243 @@
+// tiers.js
+// The membership plan catalog. Plans (tiers) live in Mongo and admins manage them through
+// /api/admin/membership-plans; tiers.json only seeds an empty catalog on first start.
+// A plan is:
+//   id, name, rank (orders the plans - a higher one is an upgrade, see memberships.js),
+//   enabled, saleStartsAt / saleEndsAt (optional sale window), and the terms of its current
+//   version: price, dailyAmount (paid per day of the term), durationDays, bonus (paid when the
+//   term is done), as USD decimal strings
+// Terms are versioned: changing any of them writes a new MembershipPlanVersion and the old one
+// stays as it was, so memberships and open payments keep the version they were priced at.
+// A plan can be bought while it is enabled and inside its sale window.
+
+import fs from "fs";
+import path from "path";
+import { fileURLToPath } from "url";
+import { MembershipPlan, MembershipPlanVersion, Membership, Transaction } from "./db.js";
+import { atomically } from "./ledger.js";
+import * as money from "./money.js";
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+export class TierError extends Error {
+  constructor(message, code) {
+    super(message);
+    this.name = "TierError";
+    this.code = code;
+  }
+}
+
+export const TIER_ID_PATTERN = /^[A-Z0-9_-]{1,20}$/;
+export const TERM_FIELDS = ["price", "dailyAmount", "durationDays", "bonus"];
+
+// ---------------- Checks ----------------
+// terms as stored: amounts rounded to cents; throws TierError
+export function checkTerms(id, t) {
+  const amount = (name, { allowZero = false } = {}) => {
+    let value;
+    try {
+      value = money.round(t[name] ?? "", 2);
+    } catch {
+      throw new TierError(`${id}: ${name} must be a decimal amount`, "BAD_TIER");
+    }
+    if (!(allowZero ? money.cmp(value, "0") >= 0 : money.isPositive(value))) {
+      throw new TierError(`${id}: ${name} must be ${allowZero ? "zero or more" : "positive"}`, "BAD_TIER");
+    }
+    return value;
+  };
+  if (!Number.isInteger(t.durationDays) || t.durationDays < 1) {
+    throw new TierError(`${id}: durationDays must be a whole number of days`, "BAD_TIER");
+  }
+  return { price: amount("price"), dailyAmount: amount("dailyAmount"), durationDays: t.durationDays, bonus: amount("bonus", { allowZero: true }) };
+}
+
+function checkSaleWindow(id, { saleStartsAt, saleEndsAt }) {
+  if (saleStartsAt && saleEndsAt && saleEndsAt <= saleStartsAt) {
+    throw new TierError(`${id}: the sale has to end after it starts`, "BAD_TIER");
+  }
+}
+
+// tiers.json, lowest to highest
+export function loadSeed(config) {
+  const seen = new Set();
+  return (config.tiers || []).map((t, i) => {
+    if (!TIER_ID_PATTERN.test(t.id || "")) throw new TierError(`Invalid tier id ${t.id}`, "BAD_TIER");
+    if (seen.has(t.id)) throw new TierError(`Tier ${t.id} is listed twice`, "BAD_TIER");
+    seen.add(t.id);
+    return { id: t.id, name: t.name || null, rank: i + 1, ...checkTerms(t.id, t) };
+  });
+}
+
+// ---------------- Reading ----------------
+// a plan document as the rest of the code uses it
+const toTier = (p) => ({
+  id: p._id,
+  name: p.name || p._id,
+  rank: p.rank,
+  enabled: p.enabled,
+  saleStartsAt: p.saleStartsAt || null,
+  saleEndsAt: p.saleEndsAt || null,
+  version: p.version,
+  price: money.toString(p.price),
+  dailyAmount: money.toString(p.dailyAmount),
+  durationDays: p.durationDays,
+  bonus: money.toString(p.bonus),
+});
+
+export const onSale = (t, now = new Date()) =>
+  t.enabled && (!t.saleStartsAt || t.saleStartsAt <= now) && (!t.saleEndsAt || now < t.saleEndsAt);
+
+// plans by rank; only the ones on sale unless `all`
+export async function listTiers({ all = false, now = new Date() } = {}) {
+  const plans = (await MembershipPlan.find().sort({ rank: 1 }).lean()).map(toTier);
+  return all ? plans : plans.filter((t) => onSale(t, now));
+}
+
+// the plan with its current terms, or null
+export async function tier(id) {
+  if (typeof id !== "string") return null;
+  const p = await MembershipPlan.findById(id).lean();
+  return p ? toTier(p) : null;
+}
+
+// the plan with the terms of one version (the current ones when `version` is null), or null
+export async function tierVersion(id, version) {
+  const t = await tier(id);
+  if (!t || version == null || version === t.version) return t;
+  const v = await MembershipPlanVersion.findOne({ planId: id, version }).lean();
+  return v ? { ...t, version, ...Object.fromEntries(TERM_FIELDS.map((f) => [f, f === "durationDays" ? v[f] : money.toString(v[f])])) } : null;
+}
+
+export const versions = (id) => MembershipPlanVersion.find({ planId: id }).sort({ version: -1 }).lean();
+
+// everything a full term pays: every day plus the bonus
+export const totalReturn = (t) => money.add(money.times(t.dailyAmount, t.durationDays, 2), t.bonus);
+
+// what /api/membership/tiers shows
+export const publicTier = (t) => ({
+  id: t.id,
+  name: t.name,
+  version: t.version,
+  price: t.price,
+  dailyAmount: t.dailyAmount,
+  durationDays: t.durationDays,
+  bonus: t.bonus,
+  totalReturn: totalReturn(t),
+  saleEndsAt: t.saleEndsAt,
+});
+
+// ---------------- Writing ----------------
+// A plan and its versions are written together (ledger.atomically): in one transaction, or
+// without one by removing the version again when the plan write fails - a version left behind
+// would block the next edit (or re-creating the id) for good.
+const conflict = () => new TierError("The plan was changed meanwhile; reload and try again", "CONFLICT");
+const rankTaken = (rank) => new TierError(`Another plan already has rank ${rank}`, "RANK_TAKEN");
+
+/**
+ * Fills an empty catalog from tiers.json, each plan at version 1. Safe to run on every start
+ * and from several instances at once.
+ */
+export async function seedTiers() {
+  if (await MembershipPlan.exists({})) return 0;
+  const seed = loadSeed(JSON.parse(fs.readFileSync(path.join(__dirname, "tiers.json"), "utf8")));
+  let added = 0;
+  for (const { id, name, rank, ...terms } of seed) {
+    try {
+      await MembershipPlanVersion.updateOne({ planId: id, version: 1 }, { $setOnInsert: terms }, { upsert: true });
+      await MembershipPlan.create({ _id: id, name, rank, version: 1, ...terms });
+      added++;
+    } catch (err) {
+      if (err.code !== 11000) throw err;
+    }
+  }
+  return added;
+}
+
+export async function createTier({ id, name = null, rank, enabled = true, saleStartsAt = null, saleEndsAt = null, ...input }, admin) {
+  const terms = checkTerms(id, input);
+  checkSaleWindow(id, { saleStartsAt, saleEndsAt });
+  if (await MembershipPlan.exists({ _id: id })) throw new TierError(`Plan ${id} already exists`, "EXISTS");
+  if (await MembershipPlan.exists({ rank })) throw rankTaken(rank);
+
+  const plan = await atomically(async (session) => {
+    try {
+      await MembershipPlanVersion.create([{ planId: id, version: 1, ...terms, createdBy: admin }], { session });
+    } catch (err) {
+      if (err.code === 11000) throw new TierError(`Plan ${id} already exists`, "EXISTS");
+      throw err;
+    }
+    try {
+      const [created] = await MembershipPlan.create(
+        [{ _id: id, name, rank, enabled, saleStartsAt, saleEndsAt, version: 1, ...terms, updatedBy: admin }],
+        { session }
+      );
+      return created;
+    } catch (err) {
+      if (!session) await MembershipPlanVersion.deleteOne({ planId: id, version: 1 });
+      if (err.code === 11000) throw err.keyPattern?.rank ? rankTaken(rank) : new TierError(`Plan ${id} already exists`, "EXISTS");
+      throw err;
+    }
+  });
+  return toTier(plan.toObject());
+}
+
+/**
+ * Applies `changes` to plan `id`. Availability (name, rank, enabled, sale window) changes in
+ * place; any change to the terms writes the next version. `changes.version`, when given, is the
+ * version the edit was made against. Resolves { before, after }.
+ */
+export async function updateTier(id, changes, admin) {
+  const before = await tier(id);
+  if (!before) throw new TierError("Plan not found", "NOT_FOUND");
+  if (changes.version != null && changes.version !== before.version) throw conflict();
+
+  const set = { updatedBy: admin };
+  for (const f of ["name", "rank", "enabled", "saleStartsAt", "saleEndsAt"]) {
+    if (changes[f] !== undefined) set[f] = changes[f];
+  }
+  checkSaleWindow(id, { ...before, ...set });
+  if (set.rank !== undefined && set.rank !== before.rank && (await MembershipPlan.exists({ rank: set.rank }))) {
+    throw rankTaken(set.rank);
+  }
+
+  const terms = checkTerms(id, { ...before, ...Object.fromEntries(TERM_FIELDS.filter((f) => changes[f] !== undefined).map((f) => [f, changes[f]])) });
+  const termsChanged = TERM_FIELDS.some((f) => String(terms[f]) !== String(before[f]));
+  const version = termsChanged ? before.version + 1 : null;
+  if (termsChanged) Object.assign(set, terms, { version });
+
+  await atomically(async (session) => {
+    if (termsChanged) {
+      try {
+        await MembershipPlanVersion.create([{ planId: id, version, ...terms, createdBy: admin }], { session });
+      } catch (err) {
+        if (err.code === 11000) throw conflict();
+        throw err;
+      }
+    }
+    try {
+      // the version it was read at, so two edits can't both apply
+      const r = await MembershipPlan.updateOne({ _id: id, version: before.version }, { $set: set }, { session });
+      if (r.matchedCount !== 1) throw conflict();
+    } catch (err) {
+      if (!session && termsChanged) await MembershipPlanVersion.deleteOne({ planId: id, version });
+      if (err.code === 11000) throw rankTaken(set.rank);
+      throw err;
+    }
+  });
+  return { before, after: await tier(id) };
+}
+
+// only a plan nobody has bought or started paying for can go; the rest are disabled instead
+export async function deleteTier(id) {
+  const t = await tier(id);
+  if (!t) throw new TierError("Plan not found", "NOT_FOUND");
+  const used = (await Membership.exists({ tier: id })) || (await Transaction.exists({ type: "DEPOSIT", "meta.isMembership": true, "meta.membershipTier": id }));
+  if (used) throw new TierError("This plan has been bought; disable it instead", "IN_USE");
+
+  // versions first: a plan left without them is still whole, versions without a plan are not
+  await atomically(async (session) => {
+    await MembershipPlanVersion.deleteMany({ planId: id }, { session });
+    await MembershipPlan.deleteOne({ _id: id }, { session });
+  });
+  return t;
+}
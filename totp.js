@@ -0,0 +1,108 @@
+// totp.js
+// RFC 6238 time-based one-time passwords (SHA-1, 6 digits, 30s steps - what every
+// authenticator app expects) plus one-time recovery codes.
+
+import crypto from "crypto";
+import QRCode from "qrcode";
+
+const STEP_SECONDS = 30;
+const DIGITS = 6;
+const WINDOW = 1; // accept one step either side for clock drift
+const ISSUER = process.env.TOTP_ISSUER || "StakeCryptoSack";
+
+const B32 = "ABCDEFGHIJKLMNOPQRSTUVWXYZ234567";
+
+function base32Encode(buf) {
+  let bits = 0;
+  let value = 0;
+  let out = "";
+  for (const byte of buf) {
+    value = (value << 8) | byte;
+    bits += 8;
+    while (bits >= 5) {
+      out += B32[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+  if (bits > 0) out += B32[(value << (5 - bits)) & 31];
+  return out;
+}
+
+function base32Decode(str) {
+  const clean = str.replace(/=+$/, "").toUpperCase();
+  let bits = 0;
+  let value = 0;
+  const out = [];
+  for (const ch of clean) {
+    const idx = B32.indexOf(ch);
+    if (idx < 0) throw new Error("Invalid base32 secret");
+    value = (value << 5) | idx;
+    bits += 5;
+    if (bits >= 8) {
+      out.push((value >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+  }
+  return Buffer.from(out);
+}
+
+// RFC 4226 HOTP for a given counter
+function hotp(secret, counter) {
+  const msg = Buffer.alloc(8);
+  msg.writeBigUInt64BE(BigInt(counter));
+  const hmac = crypto.createHmac("sha1", base32Decode(secret)).update(msg).digest();
+  const offset = hmac[hmac.length - 1] & 0xf;
+  const code = (hmac.readUInt32BE(offset) & 0x7fffffff) % 10 ** DIGITS;
+  return String(code).padStart(DIGITS, "0");
+}
+
+export function generateSecret() {
+  return base32Encode(crypto.randomBytes(20));
+}
+
+export function currentStep(now = Date.now()) {
+  return Math.floor(now / 1000 / STEP_SECONDS);
+}
+
+export function generateCode(secret, now = Date.now()) {
+  return hotp(secret, currentStep(now));
+}
+
+/**
+ * Check `code` against `secret`. Returns the matched time step, or null.
+ * Pass the last accepted step as `afterStep` so a code can't be replayed.
+ */
+export function verifyCode(secret, code, { now = Date.now(), afterStep = -1 } = {}) {
+  const c = String(code || "").replace(/\s+/g, "");
+  if (!secret || !/^\d{6}$/.test(c)) return null;
+
+  const step = currentStep(now);
+  for (let s = step - WINDOW; s <= step + WINDOW; s++) {
+    if (s <= afterStep) continue;
+    const expected = Buffer.from(hotp(secret, s));
+    if (crypto.timingSafeEqual(expected, Buffer.from(c))) return s;
+  }
+  return null;
+}
+
+export function provisioningUri(secret, account) {
+  const label = encodeURIComponent(`${ISSUER}:${account}`);
+  const params = new URLSearchParams({ secret, issuer: ISSUER, algorithm: "SHA1", digits: String(DIGITS), period: String(STEP_SECONDS) });
+  return `otpauth://totp/${label}?${params}`;
+}
+
+export function qrDataUrl(uri) {
+  return QRCode.toDataURL(uri, { margin: 1, width: 240 });
+}
+
+// ---------------- Recovery codes ----------------
+// high-entropy, so a plain SHA-256 is enough to store them
+export const hashRecoveryCode = (code) =>
+  crypto.createHash("sha256").update(String(code).replace(/[\s-]/g, "").toUpperCase()).digest("hex");
+
+export function generateRecoveryCodes(count = 10) {
+  return Array.from({ length: count }, () => {
+    const raw = crypto.randomBytes(5).toString("hex").toUpperCase();
+    return `${raw.slice(0, 5)}-${raw.slice(5)}`;
+  });
+}
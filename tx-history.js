@@ -0,0 +1,183 @@
+// tx-history.js
+// Transaction listing for /api/transactions and the admin views: query-string filters,
+// keyset (cursor) pagination and streaming CSV/JSON exports. A cursor is the sort value and
+// _id of the last row served, so pages stay stable while new transactions arrive.
+
+import mongoose from "mongoose";
+import { Transaction, TX_TYPES, TX_STATUSES } from "./db.js";
+import { COINS } from "./ledger.js";
+import * as money from "./money.js";
+import { v } from "./validate.js";
+
+export const DEFAULT_LIMIT = 50;
+export const MAX_LIMIT = 200;
+const SORT_FIELDS = ["createdAt", "amount"];
+const DIRECTIONS = ["SENT", "RECEIVED"];
+
+// `field` is the query parameter at fault, for fieldError()
+export class TxQueryError extends Error {
+  constructor(message, field) {
+    super(message);
+    this.name = "TxQueryError";
+    this.field = field;
+  }
+}
+
+// the query string parseTxQuery reads, for validate(); lists are comma-separated
+export const TX_QUERY = {
+  type: v.list(TX_TYPES, { uppercase: true }).optional(),
+  coin: v.list(COINS, { uppercase: true }).optional(),
+  status: v.list(TX_STATUSES, { uppercase: true }).optional(),
+  direction: v.list(DIRECTIONS, { uppercase: true }).optional().describe("SENT or RECEIVED (transfers only)"),
+  from: v.date().optional().describe("Created at or after this date"),
+  to: v.date().optional().describe("Created at or before this date"),
+  sort: v.oneOf(SORT_FIELDS).optional(),
+  order: v.oneOf(["asc", "desc"]).optional(),
+  limit: v.integer({ min: 1 }).optional().describe(`Page size, at most ${MAX_LIMIT}`),
+  cursor: v.string({ max: 500 }).optional().describe("nextCursor of the previous page"),
+};
+
+// ["DEPOSIT", "WITHDRAW"] (as validate() hands it on) or "DEPOSIT,WITHDRAW" -> a filter,
+// each item checked against `allowed`
+function list(value, allowed, name) {
+  const items = (Array.isArray(value) ? value : String(value).split(",")).map((v) => String(v).trim().toUpperCase()).filter(Boolean);
+  const bad = items.find((v) => !allowed.includes(v));
+  if (bad) throw new TxQueryError(`Unknown ${name} ${bad}`, name);
+  return items.length === 1 ? items[0] : { $in: items };
+}
+
+function date(value, name) {
+  const d = value instanceof Date ? value : new Date(String(value));
+  if (isNaN(d)) throw new TxQueryError(`Invalid ${name}`, name);
+  return d;
+}
+
+const encodeCursor = (value, id) => Buffer.from(JSON.stringify([value instanceof Date ? value.toISOString() : value, String(id)])).toString("base64url");
+
+function decodeCursor(cursor, field) {
+  try {
+    const [value, id] = JSON.parse(Buffer.from(String(cursor), "base64url").toString());
+    if (!mongoose.isValidObjectId(id)) throw new Error();
+    return { value: field === "createdAt" ? new Date(value) : money.toDecimal128(value), id: new mongoose.Types.ObjectId(id) };
+  } catch {
+    throw new TxQueryError("Invalid cursor", "cursor");
+  }
+}
+
+/**
+ * Turns ?type=&coin=&status=&from=&to=&direction=&sort=&order=&limit=&cursor= into a query.
+ * `scope` is merged in last (e.g. { userId } for a user's own history). Throws TxQueryError.
+ */
+export function parseTxQuery(q, scope = {}) {
+  const filter = {};
+  if (q.type) filter.type = list(q.type, TX_TYPES, "type");
+  if (q.coin) filter.coin = list(q.coin, COINS, "coin");
+  if (q.status) filter.status = list(q.status, TX_STATUSES, "status");
+  if (q.direction) {
+    // only transfers have a direction
+    if (q.type && filter.type !== "TRANSFER") throw new TxQueryError("direction only applies to TRANSFER", "direction");
+    filter["meta.direction"] = list(q.direction, DIRECTIONS, "direction");
+    filter.type = "TRANSFER";
+  }
+  if (q.from || q.to) {
+    filter.createdAt = {};
+    if (q.from) filter.createdAt.$gte = date(q.from, "from");
+    if (q.to) filter.createdAt.$lte = date(q.to, "to");
+  }
+  Object.assign(filter, scope);
+
+  const sortField = q.sort || "createdAt";
+  if (!SORT_FIELDS.includes(sortField)) throw new TxQueryError(`Cannot sort by ${sortField}`, "sort");
+  const dir = String(q.order || "desc").toLowerCase() === "asc" ? 1 : -1;
+  const limit = Math.min(MAX_LIMIT, Math.max(1, Number(q.limit) || DEFAULT_LIMIT));
+
+  return { filter, sortField, dir, limit, cursor: q.cursor ? decodeCursor(q.cursor, sortField) : null };
+}
+
+const sortOf = ({ sortField, dir }) => ({ [sortField]: dir, _id: dir });
+
+// ---------------- Pages ----------------
+export async function findPage(parsed, { populate = null } = {}) {
+  const { filter, sortField, dir, limit, cursor } = parsed;
+  const q = { ...filter };
+  if (cursor) {
+    const op = dir === 1 ? "$gt" : "$lt";
+    q.$and = [{ $or: [{ [sortField]: { [op]: cursor.value } }, { [sortField]: cursor.value, _id: { [op]: cursor.id } }] }];
+  }
+
+  let find = Transaction.find(q).sort(sortOf(parsed)).limit(limit + 1).lean();
+  if (populate) find = find.populate("userId", populate);
+  const rows = await find;
+
+  const more = rows.length > limit;
+  const transactions = more ? rows.slice(0, limit) : rows;
+  const last = transactions[transactions.length - 1];
+  return { transactions, nextCursor: more ? encodeCursor(last[sortField], last._id) : null };
+}
+
+// ---------------- Exports ----------------
+const CSV_COLUMNS = ["date", "txId", "type", "status", "coin", "amount", "direction", "counterparty", "tx_hash"];
+
+const csvCell = (v) => {
+  let s = v == null ? "" : String(v);
+  // keep spreadsheet apps from running user-chosen text (usernames) as a formula
+  if (typeof v === "string" && /^[=+\-@\t\r]/.test(s)) s = "'" + s;
+  return /[",\r\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+};
+
+function exportRow(tx, withUser) {
+  const m = tx.meta || {};
+  const row = {
+    date: new Date(tx.createdAt).toISOString(),
+    txId: String(tx._id),
+    type: tx.type,
+    status: tx.status,
+    coin: tx.coin,
+    amount: money.toString(tx.amount),
+    direction: m.direction || null,
+    counterparty: m.direction === "SENT" ? m.to : m.direction === "RECEIVED" ? m.from : null,
+    tx_hash: m.tx_hash || null,
+  };
+  if (withUser) row.userId = String(tx.userId?._id || tx.userId);
+  return row;
+}
+
+// resolves once the stream can take more (or the client went away), so a slow client
+// doesn't make us buffer the whole export
+const write = (res, chunk) =>
+  res.write(chunk)
+    ? null
+    : new Promise((resolve) => {
+        res.once("drain", resolve);
+        res.once("close", resolve);
+      });
+
+/**
+ * Streams every transaction matching `parsed` (cursor/limit ignored) as an attachment.
+ * format is "csv" or "json"; withUser adds a userId column for admin exports.
+ */
+export async function streamExport(res, parsed, { format = "csv", filename = "transactions", withUser = false } = {}) {
+  const columns = withUser ? ["userId", ...CSV_COLUMNS] : CSV_COLUMNS;
+  const stamp = new Date().toISOString().slice(0, 10);
+  res.setHeader("Content-Type", format === "json" ? "application/json" : "text/csv; charset=utf-8");
+  res.setHeader("Content-Disposition", `attachment; filename="${filename}-${stamp}.${format}"`);
+
+  const cursor = Transaction.find(parsed.filter).sort(sortOf(parsed)).lean().cursor();
+  let first = true;
+  await write(res, format === "json" ? "[\n" : columns.join(",") + "\n");
+  try {
+    for await (const tx of cursor) {
+      if (res.destroyed) return;
+      const row = exportRow(tx, withUser);
+      const line =
+        format === "json"
+          ? (first ? "" : ",\n") + JSON.stringify(row)
+          : columns.map((c) => csvCell(row[c])).join(",") + "\n";
+      first = false;
+      await write(res, line);
+    }
+  } finally {
+    await cursor.close();
+  }
+  res.end(format === "json" ? "\n]\n" : "");
+}
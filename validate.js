@@ -0,0 +1,262 @@
+// validate.js
+// Declarative request validation. Every API route states what it accepts:
+//   app.post("/api/x", needAuth, validate({ summary, body: { coin: v.oneOf(COINS), amount: v.amount() } }), handler)
+// validate() coerces and sanitizes req.params / req.query / req.body against those fields
+// before the handler runs: undeclared keys are dropped, strings are trimmed, and a field only
+// ever holds the type it declares - so an object like { "$ne": null } never reaches a Mongo
+// filter. A request that doesn't fit gets one 400 shape everywhere:
+//   { error: "<first problem>", code: "VALIDATION_FAILED", fields: { <name>: "<problem>" } }
+// The same fields describe the API in the OpenAPI document (openapi.js).
+
+import * as money from "./money.js";
+
+export class ValidationError extends Error {
+  constructor(fields) {
+    super(Object.values(fields)[0] || "Invalid request");
+    this.name = "ValidationError";
+    this.code = "VALIDATION_FAILED";
+    this.fields = fields;
+  }
+}
+
+// thrown by a field's parse(); the middleware collects one per field
+class Invalid extends Error {}
+
+// ---------------- Fields ----------------
+// a field is { parse(value, label) -> value, json (JSON Schema), required, fallback, ... };
+// the chained helpers return copies, so shared fields can be specialized per route
+const field = (spec) => ({
+  required: true,
+  ...spec,
+  optional() {
+    return field({ ...this, required: false });
+  },
+  default(value) {
+    return field({ ...this, required: false, fallback: value });
+  },
+  label(text) {
+    return field({ ...this, labelText: text });
+  },
+  describe(text) {
+    return field({ ...this, json: { ...this.json, description: text } });
+  },
+  // extra rule on the parsed value: fn(value) returns a message, or null when it's fine
+  check(fn) {
+    const { parse } = this;
+    return field({
+      ...this,
+      parse(value, label) {
+        const parsed = parse(value, label);
+        const problem = fn(parsed);
+        if (problem) throw new Invalid(problem);
+        return parsed;
+      },
+    });
+  },
+});
+
+const DEFAULT_MAX_LENGTH = 1000;
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+const OBJECT_ID = /^[a-f\d]{24}$/i;
+const DECIMAL = "^[0-9]*\\.?[0-9]+$";
+
+// text as given; numbers are accepted (form posts), anything else is not
+function text(value, label) {
+  if (typeof value === "number" && Number.isFinite(value)) return String(value);
+  if (typeof value !== "string") throw new Invalid(`${label} must be text`);
+  return value;
+}
+
+// allowEmpty: "" is a value (e.g. clearing a bio) instead of counting as not given
+function string({ min = 0, max = DEFAULT_MAX_LENGTH, pattern = null, trim = true, lowercase = false, uppercase = false, allowEmpty = false, message = null } = {}) {
+  const json = { type: "string", ...(min ? { minLength: min } : {}), maxLength: max, ...(pattern ? { pattern: pattern.source } : {}) };
+  return field({
+    json,
+    allowEmpty,
+    parse(value, label) {
+      let s = text(value, label);
+      if (trim) s = s.trim();
+      if (lowercase) s = s.toLowerCase();
+      if (uppercase) s = s.toUpperCase();
+      if (s.length < min) throw new Invalid(message || `${label} must be at least ${min} characters`);
+      if (s.length > max) throw new Invalid(message || `${label} must be at most ${max} characters`);
+      if (pattern && !pattern.test(s)) throw new Invalid(message || `${label} is invalid`);
+      return s;
+    },
+  });
+}
+
+function oneOf(values, { uppercase = false } = {}) {
+  return field({
+    json: { type: "string", enum: [...values] },
+    parse(value, label) {
+      let s = text(value, label).trim();
+      if (uppercase) s = s.toUpperCase();
+      if (!values.includes(s)) throw new Invalid(`${label} must be one of ${values.join(", ")}`);
+      return s;
+    },
+  });
+}
+
+// a comma-separated list ("DEPOSIT,WITHDRAW"), each item one of `values`; handed on as an array
+function list(values, { uppercase = false, max = 200 } = {}) {
+  return field({
+    json: { type: "array", items: { type: "string", enum: [...values] }, description: `Comma-separated: ${values.join(", ")}` },
+    parse(value, label) {
+      const s = text(value, label);
+      if (s.length > max) throw new Invalid(`${label} must be at most ${max} characters`);
+      const items = s.split(",").map((item) => (uppercase ? item.trim().toUpperCase() : item.trim())).filter(Boolean);
+      const bad = items.find((item) => !values.includes(item));
+      if (bad) throw new Invalid(`${label} must be one or more of ${values.join(", ")} (got ${bad})`);
+      if (!items.length) throw new Invalid(`${label} is empty`);
+      return items;
+    },
+  });
+}
+
+function boolean() {
+  return field({
+    json: { type: "boolean" },
+    parse(value, label) {
+      if (value === true || value === "true" || value === "1" || value === 1) return true;
+      if (value === false || value === "false" || value === "0" || value === 0) return false;
+      throw new Invalid(`${label} must be true or false`);
+    },
+  });
+}
+
+function number({ min = null, max = null, integer = false } = {}) {
+  return field({
+    json: { type: integer ? "integer" : "number", ...(min != null ? { minimum: min } : {}), ...(max != null ? { maximum: max } : {}) },
+    parse(value, label) {
+      const n = typeof value === "string" && value.trim() ? Number(value) : value;
+      if (typeof n !== "number" || !Number.isFinite(n)) throw new Invalid(`${label} must be a number`);
+      if (integer && !Number.isInteger(n)) throw new Invalid(`${label} must be a whole number`);
+      if (min != null && n < min) throw new Invalid(`${label} must be at least ${min}`);
+      if (max != null && n > max) throw new Invalid(`${label} must be at most ${max}`);
+      return n;
+    },
+  });
+}
+
+// ---------------- Field types ----------------
+export const v = {
+  string,
+  oneOf,
+  list,
+  boolean,
+  number,
+  integer: (opts = {}) => number({ ...opts, integer: true }),
+
+  email: () =>
+    field({
+      json: { type: "string", format: "email", maxLength: 254 },
+      parse(value, label) {
+        const s = text(value, label).trim().toLowerCase();
+        if (s.length > 254 || !EMAIL_PATTERN.test(s)) throw new Invalid(`${label} must be a valid email address`);
+        return s;
+      },
+    }),
+
+  objectId: () =>
+    field({
+      json: { type: "string", pattern: OBJECT_ID.source },
+      parse(value, label) {
+        const s = text(value, label).trim();
+        if (!OBJECT_ID.test(s)) throw new Invalid(`${label} must be a valid id`);
+        return s;
+      },
+    }),
+
+  // allowEmpty: "" clears the date (parsed as null)
+  date: ({ allowEmpty = false } = {}) =>
+    field({
+      json: { type: "string", format: "date-time" },
+      allowEmpty,
+      parse(value, label) {
+        if (allowEmpty && typeof value === "string" && !value.trim()) return null;
+        const d = new Date(text(value, label).trim());
+        if (isNaN(d)) throw new Invalid(`${label} must be a date`);
+        return d;
+      },
+    }),
+
+  // a positive decimal (or zero, with allowZero), handed on as its canonical string; the coin's
+  // own precision is checked by the route with money.parseAmount once it knows the coin
+  amount: ({ allowZero = false } = {}) =>
+    field({
+      json: { type: "string", pattern: DECIMAL, examples: ["0.015"], description: "Decimal string (a JSON number is accepted too)" },
+      parse(value, label) {
+        try {
+          const s = money.normalize(typeof value === "string" ? value.trim() : value);
+          if (allowZero ? money.cmp(s, "0") < 0 : !money.isPositive(s)) throw new Invalid(`${label} must be ${allowZero ? "zero or more" : "positive"}`);
+          return s;
+        } catch (err) {
+          if (err.code === "TOO_PRECISE") throw new Invalid(`${label} has too many decimal places`);
+          if (err instanceof money.MoneyError) throw new Invalid(`${label} must be a decimal number`);
+          throw err;
+        }
+      },
+    }),
+};
+
+// ---------------- Middleware ----------------
+// these count as "not given": a form's empty input is the same as leaving the key out
+const isMissing = (value) => value === undefined || value === null || (typeof value === "string" && value.trim() === "");
+
+const isPlainObject = (value) => value != null && typeof value === "object" && !Array.isArray(value);
+
+// parses `input` against a { name: field } shape; problems are added to `errors`
+function parseShape(shape, input, errors) {
+  const out = {};
+  for (const [name, f] of Object.entries(shape)) {
+    const value = Object.hasOwn(input, name) ? input[name] : undefined;
+    if (isMissing(value) && !(f.allowEmpty && typeof value === "string")) {
+      if (f.required) errors[name] = `${f.labelText || name} is required`;
+      else if (f.fallback !== undefined) out[name] = f.fallback;
+      continue;
+    }
+    try {
+      out[name] = f.parse(value, f.labelText || name);
+    } catch (err) {
+      if (!(err instanceof Invalid)) throw err;
+      errors[name] = err.message;
+    }
+  }
+  return out;
+}
+
+export function sendValidationError(res, err) {
+  return res.status(400).json({ error: err.message, code: err.code, fields: err.fields });
+}
+
+// the same 400 for a problem a route can only find once it has the input (e.g. an amount with
+// more decimals than the coin has)
+export const fieldError = (res, name, message) => sendValidationError(res, new ValidationError({ [name]: message }));
+
+/**
+ * Route middleware for { summary?, params?, query?, body?, files? } (files only documents a
+ * multipart upload). params are checked in place; query and body are replaced by their
+ * sanitized versions, and become empty when the route declares none.
+ */
+export function validate(spec = {}) {
+  const middleware = (req, res, next) => {
+    const errors = {};
+    if (spec.params) Object.assign(req.params, parseShape(spec.params, req.params, errors));
+    const query = parseShape(spec.query || {}, req.query || {}, errors);
+    let body = {};
+    if (spec.body && !isPlainObject(req.body ?? {})) errors.body = "Request body must be a JSON object";
+    else body = parseShape(spec.body || {}, req.body || {}, errors);
+
+    if (Object.keys(errors).length) return sendValidationError(res, new ValidationError(errors));
+    req.query = query;
+    req.body = body;
+    next();
+  };
+  // read by openapi.js
+  middleware.apiSpec = spec;
+  return middleware;
+}
+
+// the shapes are plain objects, so routes can share and extend them
+export const idParam = { id: v.objectId() };
@@ -0,0 +1,65 @@
+// withdrawals.js
+// Admin approval of withdrawals. Large ones need two different admins (four-eyes): above the
+// coin's threshold the first approval moves a PENDING withdrawal to AWAITING_SECOND_APPROVAL
+// and only a second admin's approval confirms it and pays it out.
+// Thresholds are the registry's secondApprovalAbove (assets.json); WITHDRAW_SECOND_APPROVAL_<COIN>
+// overrides one and "off" drops it. server.js reads them at startup (secondApprovalThresholds()),
+// parsed as exact decimals, so a bad value stops the server instead of failing approvals.
+
+import * as assets from "./assets.js";
+import * as money from "./money.js";
+
+// still open to approve or decline; only large withdrawals reach AWAITING_SECOND_APPROVAL
+export const OPEN_STATUSES = ["PENDING", "AWAITING_SECOND_APPROVAL"];
+
+export class WithdrawalError extends Error {
+  constructor(message, code) {
+    super(message);
+    this.name = "WithdrawalError";
+    this.code = code;
+  }
+}
+
+// the threshold for `coin` as a decimal string, or null when it has none
+export function secondApprovalAbove(coin, fallback, env = process.env) {
+  const name = `WITHDRAW_SECOND_APPROVAL_${coin}`;
+  const v = env[name] ?? fallback;
+  if (v === "off" || v == null) return null;
+  try {
+    return money.normalize(v);
+  } catch (err) {
+    const source = env[name] != null ? name : `secondApprovalAbove of ${coin} in assets.json`;
+    throw new Error(`${source} must be a decimal amount or "off" (got ${JSON.stringify(v)}): ${err.message}`);
+  }
+}
+
+let cached = null;
+
+// coin -> threshold (or null) for every registry asset, read from the environment once
+export function secondApprovalThresholds() {
+  cached ??= Object.fromEntries(
+    assets.ASSETS.map((a) => [a.symbol, secondApprovalAbove(a.symbol, a.secondApprovalAbove)])
+  );
+  return cached;
+}
+
+export function needsSecondApproval(tx, thresholds = secondApprovalThresholds()) {
+  const limit = Object.hasOwn(thresholds, tx.coin) ? thresholds[tx.coin] : null;
+  return limit != null && money.cmp(tx.amount, limit) > 0;
+}
+
+/**
+ * The status change `admin` approving withdrawal `tx` makes: { from, to }, where `to` is
+ * AWAITING_SECOND_APPROVAL for the first of two approvals and CONFIRMED when it pays out.
+ * Throws WithdrawalError (NOT_OPEN, SAME_ADMIN) when the admin can't approve it.
+ */
+export function approvalStep(tx, admin, thresholds = secondApprovalThresholds()) {
+  if (!OPEN_STATUSES.includes(tx.status)) throw new WithdrawalError("Withdraw is not pending", "NOT_OPEN");
+  if (tx.status === "PENDING") {
+    return { from: "PENDING", to: needsSecondApproval(tx, thresholds) ? "AWAITING_SECOND_APPROVAL" : "CONFIRMED" };
+  }
+  if (String(tx.meta?.firstApproval?.adminId) === String(admin._id)) {
+    throw new WithdrawalError("A different admin must give the second approval", "SAME_ADMIN");
+  }
+  return { from: "AWAITING_SECOND_APPROVAL", to: "CONFIRMED" };
+}